@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 
+const recoverySchema = new mongoose.Schema({
+    salaryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Salary'
+    },
+    month: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 12
+    },
+    year: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const advanceSchema = new mongoose.Schema({
     employeeId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -20,6 +46,40 @@ const advanceSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // How the advance is recovered from salary: all at once, a fixed amount
+    // per month, or a percentage of the advance per month
+    recoveryType: {
+        type: String,
+        enum: ['full', 'amount', 'percentage'],
+        default: 'full'
+    },
+    installmentAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    installmentPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    // First salary month the recovery applies to
+    recoveryStartMonth: {
+        type: Number,
+        min: 1,
+        max: 12
+    },
+    recoveryStartYear: {
+        type: Number
+    },
+    recoveredAmount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    recoveries: [recoverySchema],
+    // Set once the advance has been fully recovered
     isDeducted: {
         type: Boolean,
         default: false
@@ -33,4 +93,71 @@ const advanceSchema = new mongoose.Schema({
     }
 });
 
+advanceSchema.index({ employeeId: 1, isDeducted: 1 });
+
+advanceSchema.virtual('outstandingAmount').get(function() {
+    return Math.max(0, Math.round((this.amount - (this.recoveredAmount || 0)) * 100) / 100);
+});
+
+// Salary period (as a month index) from which installments start
+advanceSchema.methods.getRecoveryStart = function() {
+    const start = this.date || this.createdAt || new Date();
+    const month = this.recoveryStartMonth || start.getMonth() + 1;
+    const year = this.recoveryStartYear || start.getFullYear();
+    return { month, year };
+};
+
+// Scheduled installment for one salary month, capped at the outstanding balance
+advanceSchema.methods.getInstallment = function() {
+    const outstanding = this.outstandingAmount;
+    if (outstanding <= 0) return 0;
+
+    let installment = outstanding;
+    if (this.recoveryType === 'amount' && this.installmentAmount > 0) {
+        installment = this.installmentAmount;
+    } else if (this.recoveryType === 'percentage' && this.installmentPercentage > 0) {
+        installment = this.amount * this.installmentPercentage / 100;
+    }
+
+    return Math.min(outstanding, Math.round(installment * 100) / 100);
+};
+
+// Projected month-by-month recovery for the remaining balance
+advanceSchema.methods.getRecoverySchedule = function() {
+    const schedule = this.recoveries.map(r => ({
+        month: r.month,
+        year: r.year,
+        amount: r.amount,
+        recovered: true
+    }));
+
+    const lastRecovery = this.recoveries[this.recoveries.length - 1];
+    const start = this.getRecoveryStart();
+    let period = lastRecovery
+        ? lastRecovery.year * 12 + lastRecovery.month
+        : start.year * 12 + start.month - 1;
+
+    const installment = this.getInstallment();
+    let remaining = this.outstandingAmount;
+    while (installment > 0 && remaining > 0 && schedule.length < 120) {
+        period += 1;
+        const amount = Math.min(remaining, installment);
+        remaining = Math.round((remaining - amount) * 100) / 100;
+        schedule.push({
+            month: ((period - 1) % 12) + 1,
+            year: Math.floor((period - 1) / 12),
+            amount,
+            recovered: false
+        });
+    }
+
+    let balance = this.amount;
+    return schedule.map(row => {
+        balance = Math.round((balance - row.amount) * 100) / 100;
+        return { ...row, balance };
+    });
+};
+
+advanceSchema.set('toObject', { virtuals: true });
+
 module.exports = mongoose.model('Advance', advanceSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const auditChangeSchema = new mongoose.Schema({
+    // Dotted path of the field, e.g. 'items.0.quantity'
+    field: {
+        type: String,
+        required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// One create, update or delete made through the app: who did it, to which
+// record, and the value of every field that changed. Entries are never edited.
+const auditLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // Kept as it was at the time so the entry still reads if the user is renamed
+    username: {
+        type: String
+    },
+    // Model name, e.g. 'StockItem', 'Sale', 'Employee'
+    entity: {
+        type: String,
+        required: true,
+        index: true
+    },
+    entityId: {
+        type: String,
+        index: true
+    },
+    // Name, invoice number or similar so the record can be recognised after a delete
+    label: {
+        type: String
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+    },
+    changes: [auditChangeSchema],
+    // Request that made the change, e.g. 'POST /stock/edit/...'
+    route: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
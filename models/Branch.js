@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// A place the factory sells from: the factory counter or a retail outlet.
+// Stock, sales and users each belong to a branch.
+const branchSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    // Short code shown in lists and on transfers, e.g. 'FAC' or 'OUT1'
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        uppercase: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    // The factory itself; production happens here and existing stock was moved here
+    isMain: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+branchSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// The main (factory) branch, created the first time it is needed
+branchSchema.statics.getMain = async function() {
+    const filter = { isMain: true };
+    const update = { $setOnInsert: { name: 'Factory', code: 'FAC', isMain: true } };
+    const options = { upsert: true, new: true };
+    try {
+        return await this.findOneAndUpdate(filter, update, options);
+    } catch (error) {
+        // Two requests creating it at once: the loser hits the unique name and
+        // the branch now exists for the retry
+        if (error.code !== 11000) throw error;
+        return this.findOneAndUpdate(filter, update, options);
+    }
+};
+
+module.exports = mongoose.model('Branch', branchSchema);
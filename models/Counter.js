@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically, e.g. 'invoice:2026-27'
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Returns the next value of the named sequence, starting at 1
+counterSchema.statics.next = async function(name) {
+    const update = { $inc: { seq: 1 } };
+    const options = { new: true, upsert: true };
+    try {
+        const counter = await this.findOneAndUpdate({ _id: name }, update, options);
+        return counter.seq;
+    } catch (error) {
+        // Two requests creating the same counter at once: one upsert loses
+        // with a duplicate key, and the counter now exists for the retry
+        if (error.code !== 11000) throw error;
+        const counter = await this.findOneAndUpdate({ _id: name }, update, options);
+        return counter.seq;
+    }
+};
+
+// Indian financial year (April to March) of a date, e.g. '2026-27'
+counterSchema.statics.financialYear = function(date) {
+    const d = date ? new Date(date) : new Date();
+    const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
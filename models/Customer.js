@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema({
+    // User who added the customer; customers are shared by the whole factory
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    // Two-digit GST state code; decides CGST+SGST or IGST on their invoices
+    stateCode: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One customer per phone number; customers without a phone are matched by name
+customerSchema.index(
+    { phone: 1 },
+    { unique: true, partialFilterExpression: { phone: { $type: 'string', $gt: '' } } }
+);
+
+customerSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Customer', customerSchema);
@@ -16,11 +16,33 @@ const employeeSchema = new mongoose.Schema({
         required: true,
         default: Date.now
     },
+    // monthly: basicSalary for the month; daily: dailyWage per day worked;
+    // piece-rate: pieceRate per kg produced in batches the employee operated
+    payBasis: {
+        type: String,
+        enum: ['monthly', 'daily', 'piece-rate'],
+        default: 'monthly'
+    },
     basicSalary: {
         type: Number,
         required: true,
         min: 0
     },
+    dailyWage: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    pieceRate: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Hourly overtime rate; when not set it is worked out from the normal pay
+    overtimeRate: {
+        type: Number,
+        min: 0
+    },
     phone: {
         type: String,
         trim: true
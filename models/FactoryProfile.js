@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Details printed on invoices. There is a single profile document.
+const factoryProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        default: 'Ramlila Pedhewale Factory'
+    },
+    tagline: {
+        type: String,
+        trim: true,
+        default: 'Traditional Sweet Manufacturing'
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    // Two-digit GST state code, e.g. '27' for Maharashtra
+    stateCode: {
+        type: String,
+        trim: true
+    },
+    // Invoice numbers are built from the format: {prefix}, {fy} (financial
+    // year, e.g. 2026-27) and {seq} (running number, zero-padded to invoiceDigits)
+    invoicePrefix: {
+        type: String,
+        trim: true,
+        default: 'RP'
+    },
+    invoiceFormat: {
+        type: String,
+        trim: true,
+        default: '{prefix}/{fy}/{seq}'
+    },
+    invoiceDigits: {
+        type: Number,
+        min: 1,
+        max: 10,
+        default: 4
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+factoryProfileSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// The saved profile, or an unsaved one with the defaults when none exists yet
+factoryProfileSchema.statics.getProfile = async function() {
+    return (await this.findOne()) || new this();
+};
+
+factoryProfileSchema.methods.formatInvoiceNumber = function(financialYear, seq) {
+    return (this.invoiceFormat || '{prefix}/{fy}/{seq}')
+        .replace(/\{prefix\}/g, this.invoicePrefix || '')
+        .replace(/\{fy\}/g, financialYear)
+        .replace(/\{seq\}/g, String(seq).padStart(this.invoiceDigits || 4, '0'));
+};
+
+module.exports = mongoose.model('FactoryProfile', factoryProfileSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const receiptItemSchema = new mongoose.Schema({
+    stockItemId: {
+        type: String,
+        ref: 'StockItem',
+        required: true
+    },
+    stockItemName: {
+        type: String,
+        required: true
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Lot the delivery was put into: the supplier's lot number, or the GRN number
+    lotNumber: {
+        type: String,
+        trim: true
+    },
+    manufactureDate: {
+        type: Date
+    },
+    expiryDate: {
+        type: Date
+    }
+}, { _id: false });
+
+// Goods received against a purchase order (GRN). The received quantities are
+// added to the branch's stock as purchases in the stock ledger.
+const goodsReceiptSchema = new mongoose.Schema({
+    receiptNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    purchaseOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder',
+        required: true,
+        index: true
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true,
+        index: true
+    },
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    items: [receiptItemSchema],
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Supplier's delivery challan or vehicle number
+    reference: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
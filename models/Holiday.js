@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Factory holiday (festival or closure). Holidays are paid days for monthly staff.
+const holidaySchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Holiday', holidaySchema);
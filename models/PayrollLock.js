@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A month whose payroll has been paid out. Salaries for a locked month are
+// not calculated again.
+const payrollLockSchema = new mongoose.Schema({
+    month: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 12
+    },
+    year: {
+        type: Number,
+        required: true
+    },
+    lockedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+payrollLockSchema.index({ month: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('PayrollLock', payrollLockSchema);
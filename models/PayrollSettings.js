@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Factory-wide payroll rules. There is a single settings document.
+const payrollSettingsSchema = new mongoose.Schema({
+    // Days of the week the factory is closed, 0 = Sunday ... 6 = Saturday
+    weeklyOffs: {
+        type: [Number],
+        default: [0]
+    },
+    // Length of a full shift; hours beyond it are overtime
+    shiftHours: {
+        type: Number,
+        min: 1,
+        max: 24,
+        default: 9
+    },
+    // Overtime is paid at this multiple of the normal hourly rate
+    overtimeMultiplier: {
+        type: Number,
+        min: 1,
+        default: 1.5
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+payrollSettingsSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// The saved settings, or an unsaved document with the defaults when none exist yet
+payrollSettingsSchema.statics.getSettings = async function() {
+    return (await this.findOne()) || new this();
+};
+
+module.exports = mongoose.model('PayrollSettings', payrollSettingsSchema);
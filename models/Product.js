@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const recipeLineSchema = new mongoose.Schema({
+    stockItemId: {
+        type: String,
+        required: true
+    },
+    stockItemName: {
+        type: String,
+        required: true
+    },
+    // Quantity of the stock item (in its own unit) per one unit of product
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    unit: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+// Finished goods held at one branch
+const branchStockSchema = new mongoose.Schema({
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// Selling price at one branch when it differs from the standard price
+const branchPriceSchema = new mongoose.Schema({
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// Another unit the product is sold in, e.g. a 250 g box or a single piece of
+// a product kept in kg, at its own price
+const sellingUnitSchema = new mongoose.Schema({
+    // Printed on the invoice, e.g. '250 g box'
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Size as entered, e.g. 250 grams
+    size: {
+        type: Number,
+        min: 0
+    },
+    sizeUnit: {
+        type: String,
+        trim: true
+    },
+    // How much of the product's own unit one holds, e.g. 0.25 (kg)
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0.000001
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const productSchema = new mongoose.Schema({
+    // String ids are kept from the JSON catalog (e.g. 'pedha-1') so that
+    // Sale.items.productId references stay valid
+    _id: {
+        type: String,
+        default: uuidv4
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    unit: {
+        type: String,
+        trim: true,
+        default: 'kg'
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    category: {
+        type: String,
+        trim: true
+    },
+    hsnCode: {
+        type: String,
+        trim: true
+    },
+    // GST rate in percent
+    gstRate: {
+        type: Number,
+        enum: [0, 5, 12, 18, 28],
+        default: 5
+    },
+    recipe: [recipeLineSchema],
+    // Days a batch keeps after it is made; sets the expiry of new batches
+    shelfLifeDays: {
+        type: Number,
+        min: 0
+    },
+    // Finished-goods inventory, increased by production and reduced by sales.
+    // This is the total across all branches, kept in step with branchStock.
+    finishedStock: {
+        type: Number,
+        default: 0
+    },
+    branchStock: [branchStockSchema],
+    branchPrices: [branchPriceSchema],
+    sellingUnits: [sellingUnitSchema],
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+productSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+productSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Product', productSchema);
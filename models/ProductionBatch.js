@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const batchMaterialSchema = new mongoose.Schema({
+    stockItemId: {
+        type: String,
+        required: true
+    },
+    stockItemName: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    unit: {
+        type: String,
+        trim: true
+    }
+});
+
+const productionBatchSchema = new mongoose.Schema({
+    batchNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    productId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    productName: {
+        type: String,
+        required: true
+    },
+    // Total quantity made, including anything wasted
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0.001
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    wastage: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    wastageReason: {
+        type: String,
+        trim: true
+    },
+    materials: [batchMaterialSchema],
+    // Best-before date of the goods; the batch number is their lot number
+    expiryDate: {
+        type: Date
+    },
+    operatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Employee'
+    },
+    // Branch whose raw materials were used and which received the goods
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        index: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Quantity that goes into finished-goods inventory
+productionBatchSchema.virtual('goodQuantity').get(function() {
+    return Math.max(0, Math.round((this.quantity - (this.wastage || 0)) * 1000) / 1000);
+});
+
+productionBatchSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('ProductionBatch', productionBatchSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const purchaseItemSchema = new mongoose.Schema({
+    stockItemId: {
+        type: String,
+        ref: 'StockItem',
+        required: true
+    },
+    stockItemName: {
+        type: String,
+        required: true
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Agreed price per unit
+    rate: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Filled in as goods receipts are recorded against the order
+    receivedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+// Raw materials ordered from a supplier. Stock only changes when the goods
+// are received.
+const purchaseOrderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true,
+        index: true
+    },
+    // Branch the goods are delivered to
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    expectedDate: {
+        type: Date
+    },
+    items: [purchaseItemSchema],
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['open', 'partial', 'received', 'cancelled'],
+        default: 'open'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -1,5 +1,95 @@
 const mongoose = require('mongoose');
 
+// Manual line added to a month's pay. Bonus, overtime and allowances are
+// added to the salary; fines are taken off.
+const adjustmentSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['bonus', 'overtime', 'allowance', 'fine'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One earning or deduction on the payslip. Calculated components (pay for days
+// worked, overtime, advance recovery) and manual adjustments all become lines,
+// so new pay components are added as lines rather than as new fields.
+const salaryLineSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: ['earning', 'deduction'],
+        required: true
+    },
+    // e.g. 'basic', 'wages', 'piece-rate', 'overtime', 'advance', 'bonus', 'fine'
+    code: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    label: {
+        type: String,
+        trim: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Set on lines that mirror a manual adjustment
+    adjustmentId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    // Set on advance recovery lines
+    advanceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Advance'
+    }
+}, { _id: false });
+
+// One entry per change to a calculated salary, with the fields that moved
+const historySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['recalculated', 'adjustment-added', 'adjustment-removed', 'migrated'],
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    changes: [{
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const salarySchema = new mongoose.Schema({
     employeeId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -16,6 +106,11 @@ const salarySchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    payBasis: {
+        type: String,
+        enum: ['monthly', 'daily', 'piece-rate'],
+        default: 'monthly'
+    },
     basicSalary: {
         type: Number,
         required: true
@@ -32,10 +127,44 @@ const salarySchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Days in the month less weekly offs and holidays
     totalWorkingDays: {
         type: Number,
         default: 30
     },
+    weeklyOffDays: {
+        type: Number,
+        default: 0
+    },
+    holidays: {
+        type: Number,
+        default: 0
+    },
+    // Days the employee is paid for, including paid offs and holidays
+    paidDays: {
+        type: Number,
+        default: 0
+    },
+    // Good output of the employee's batches, for piece-rate pay
+    quantityProduced: {
+        type: Number,
+        default: 0
+    },
+    // Unit of that output, e.g. 'kg'; 'units' when the batches were of products
+    // kept in different units
+    productionUnit: {
+        type: String,
+        trim: true
+    },
+    overtimeHours: {
+        type: Number,
+        default: 0
+    },
+    overtimePay: {
+        type: Number,
+        default: 0
+    },
+    // Pay for the month including overtime, before adjustments and deductions
     calculatedSalary: {
         type: Number,
         required: true
@@ -44,6 +173,18 @@ const salarySchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // Advance balance still to be recovered after this month's deduction
+    advanceBalance: {
+        type: Number,
+        default: 0
+    },
+    lines: [salaryLineSchema],
+    adjustments: [adjustmentSchema],
+    // Bonuses and allowances less fines
+    adjustmentTotal: {
+        type: Number,
+        default: 0
+    },
     netSalary: {
         type: Number,
         required: true
@@ -56,6 +197,20 @@ const salarySchema = new mongoose.Schema({
     paidDate: {
         type: Date
     },
+    paymentMode: {
+        type: String,
+        enum: ['cash', 'bank', 'upi', 'cheque']
+    },
+    // Bank transfer reference, UPI transaction id or cheque number
+    paymentReference: {
+        type: String,
+        trim: true
+    },
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    history: [historySchema],
     createdAt: {
         type: Date,
         default: Date.now
@@ -65,4 +220,37 @@ const salarySchema = new mongoose.Schema({
 // Ensure one salary record per employee per month
 salarySchema.index({ employeeId: 1, month: 1, year: 1 }, { unique: true });
 
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Mirror the manual adjustments into the lines and total everything up again.
+// Records saved before lines existed get lines built from their totals.
+salarySchema.methods.syncLines = function() {
+    let computed = this.lines.filter(line => !line.adjustmentId);
+    if (computed.length === 0) {
+        computed = [
+            { kind: 'earning', code: 'basic', label: 'Pay for days worked', amount: roundMoney(Math.max(0, (this.calculatedSalary || 0) - (this.overtimePay || 0))) },
+            ...(this.overtimePay ? [{ kind: 'earning', code: 'overtime', label: 'Overtime', amount: this.overtimePay }] : []),
+            ...(this.advanceDeductions ? [{ kind: 'deduction', code: 'advance', label: 'Advance recovery', amount: this.advanceDeductions }] : [])
+        ];
+    }
+
+    const manual = this.adjustments.map(adjustment => ({
+        kind: adjustment.type === 'fine' ? 'deduction' : 'earning',
+        code: adjustment.type,
+        label: adjustment.reason,
+        amount: adjustment.amount,
+        adjustmentId: adjustment._id
+    }));
+    this.lines = [...computed, ...manual];
+
+    const total = (kind) => this.lines.filter(line => line.kind === kind).reduce((sum, line) => sum + line.amount, 0);
+    this.adjustmentTotal = roundMoney(manual.reduce((sum, line) => sum + (line.kind === 'deduction' ? -line.amount : line.amount), 0));
+    this.netSalary = Math.max(0, roundMoney(total('earning') - total('deduction')));
+};
+
+salarySchema.pre('validate', function(next) {
+    this.syncLines();
+    next();
+});
+
 module.exports = mongoose.model('Salary', salarySchema);
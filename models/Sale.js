@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 
+// Lot of finished goods a sale line was taken from
+const lotUsageSchema = new mongoose.Schema({
+    lotId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+    },
+    lotNumber: {
+        type: String
+    },
+    expiryDate: {
+        type: Date
+    },
+    quantity: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
 const saleItemSchema = new mongoose.Schema({
     productId: {
         type: String,
@@ -9,11 +27,25 @@ const saleItemSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Quantity in the unit sold, at `price` per unit
     quantity: {
         type: Number,
         required: true,
         min: 0.001
     },
+    // Unit the line was sold in: the product's own unit or one of its selling units
+    unit: {
+        type: String,
+        trim: true
+    },
+    // How much of the product's own unit one unit sold holds; stock, recipes
+    // and costs work in the product's unit. Missing on older sales, which were
+    // all sold in the product's unit.
+    unitQuantity: {
+        type: Number,
+        default: 1,
+        min: 0.000001
+    },
     price: {
         type: Number,
         required: true,
@@ -23,19 +55,73 @@ const saleItemSchema = new mongoose.Schema({
         type: Number,
         required: true,
         min: 0
-    }
+    },
+    hsnCode: {
+        type: String,
+        trim: true
+    },
+    gstRate: {
+        type: Number,
+        min: 0
+    },
+    // Line value after its share of the invoice discount
+    taxableValue: {
+        type: Number,
+        min: 0
+    },
+    cgst: {
+        type: Number,
+        default: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0
+    },
+    igst: {
+        type: Number,
+        default: 0
+    },
+    // Recipe cost of one of the product's own units when the sale was recorded,
+    // for gross margin
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+    // Quantity taken from finished-goods inventory, in the product's own unit;
+    // the rest was made to order
+    fromStock: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Lots the quantity from stock came out of, printed on the invoice
+    lots: [lotUsageSchema]
 });
 
 const saleSchema = new mongoose.Schema({
+    // User who recorded the sale
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         index: true
     },
+    // Branch the sale was made at; its stock and prices were used
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        index: true
+    },
+    // Formatted number from the shared invoice series, e.g. 'RP/2026-27/0001'.
+    // Sales recorded before the series was introduced keep their plain numbers.
     invoiceNumber: {
-        type: Number,
+        type: String
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
         index: true
     },
+    // Name, phone and address are copied from the customer at the time of sale
     customerName: {
         type: String,
         required: true,
@@ -49,6 +135,20 @@ const saleSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    customerGstin: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    // GST state code of the place of supply; IGST applies when it differs from the factory's
+    placeOfSupply: {
+        type: String,
+        trim: true
+    },
+    interState: {
+        type: Boolean,
+        default: false
+    },
     items: [saleItemSchema],
     subtotal: {
         type: Number,
@@ -60,11 +160,28 @@ const saleSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    taxableAmount: {
+        type: Number,
+        min: 0
+    },
+    // Total GST; cgst/sgst/igst hold the split
     tax: {
         type: Number,
         default: 0,
         min: 0
     },
+    cgst: {
+        type: Number,
+        default: 0
+    },
+    sgst: {
+        type: Number,
+        default: 0
+    },
+    igst: {
+        type: Number,
+        default: 0
+    },
     totalAmount: {
         type: Number,
         required: true,
@@ -80,6 +197,15 @@ const saleSchema = new mongoose.Schema({
         enum: ['pending', 'paid', 'partial'],
         default: 'paid'
     },
+    // Totals of the Payment records against this sale, kept in sync when payments change
+    amountPaid: {
+        type: Number,
+        min: 0
+    },
+    amountDue: {
+        type: Number,
+        min: 0
+    },
     date: {
         type: Date,
         required: true,
@@ -89,6 +215,28 @@ const saleSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Voided sales keep their invoice number but are left out of totals and reports
+    status: {
+        type: String,
+        enum: ['active', 'void'],
+        default: 'active',
+        index: true
+    },
+    voidedAt: {
+        type: Date
+    },
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidReason: {
+        type: String,
+        trim: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -99,6 +247,12 @@ const saleSchema = new mongoose.Schema({
     }
 });
 
+// No two invoices may share a number; old plain numbers were per user and are left out
+saleSchema.index(
+    { invoiceNumber: 1 },
+    { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+
 saleSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
@@ -1,15 +1,28 @@
 const mongoose = require('mongoose');
 
 const simpleSaleSchema = new mongoose.Schema({
+    // User who recorded the sale
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         index: true
     },
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        index: true
+    },
+    // Formatted number from the shared invoice series, e.g. 'RP/2026-27/0001'.
+    // Sales recorded before the series was introduced keep their plain numbers.
     invoiceNumber: {
-        type: Number,
+        type: String
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
         index: true
     },
+    // Name, phone and address are copied from the customer at the time of sale
     customerName: {
         type: String,
         required: true,
@@ -48,6 +61,12 @@ const simpleSaleSchema = new mongoose.Schema({
     }
 });
 
+// No two invoices may share a number; old plain numbers were per user and are left out
+simpleSaleSchema.index(
+    { invoiceNumber: 1 },
+    { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+
 simpleSaleSchema.pre('save', function(next) {
     this.updatedAt = Date.now();
     next();
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Lot a quantity was taken from or put into
+const lotUsageSchema = new mongoose.Schema({
+    lotId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+    },
+    lotNumber: {
+        type: String
+    },
+    expiryDate: {
+        type: Date
+    },
+    quantity: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
+const stockConsumptionSchema = new mongoose.Schema({
+    stockItemId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    stockItemName: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    // Branch the materials were taken from
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
+    source: {
+        type: String,
+        enum: ['sale', 'production'],
+        required: true
+    },
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale'
+    },
+    batchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductionBatch'
+    },
+    productId: {
+        type: String
+    },
+    productName: {
+        type: String
+    },
+    productQuantity: {
+        type: Number
+    },
+    // Lots the materials were taken from, so they go back if the sale is edited
+    lots: [lotUsageSchema],
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('StockConsumption', stockConsumptionSchema);
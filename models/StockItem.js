@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+// Quantity held at one branch
+const branchStockSchema = new mongoose.Schema({
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+const stockItemSchema = new mongoose.Schema({
+    // String ids are kept from the JSON stock file so recipe and consumption
+    // references stay valid
+    _id: {
+        type: String,
+        default: uuidv4
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Total across all branches, kept in step with branchStock
+    quantity: {
+        type: Number,
+        required: true,
+        default: 0
+    },
+    branchStock: [branchStockSchema],
+    // Weighted-average cost of one unit across all branches, updated as
+    // purchases come in
+    averageCost: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Stock at or below this total across branches needs reordering. Zero
+    // means no level has been set and the item never shows as low.
+    reorderLevel: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Quantity usually bought when the item is reordered
+    reorderQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockItemSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('StockItem', stockItemSchema);
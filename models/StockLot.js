@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// One lot of a raw material or finished product at a branch: a delivery of
+// milk, a production batch of pedha. Stock leaves the lots that expire first.
+// Quantities on hand from before lots were kept aren't in any lot.
+const stockLotSchema = new mongoose.Schema({
+    // 'material' is a StockItem, 'product' a Product
+    kind: {
+        type: String,
+        enum: ['material', 'product'],
+        required: true
+    },
+    itemId: {
+        type: String,
+        required: true
+    },
+    itemName: {
+        type: String,
+        required: true
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true
+    },
+    // Supplier's lot or GRN number for materials, batch number for products
+    lotNumber: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    manufactureDate: {
+        type: Date
+    },
+    receivedDate: {
+        type: Date,
+        default: Date.now
+    },
+    expiryDate: {
+        type: Date
+    },
+    // Quantity that came in, and how much of it is still on hand
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    remaining: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    goodsReceiptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GoodsReceipt'
+    },
+    batchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductionBatch'
+    },
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockTransfer'
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockLotSchema.index({ kind: 1, itemId: 1, branchId: 1, remaining: 1 });
+stockLotSchema.index({ expiryDate: 1, remaining: 1 });
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
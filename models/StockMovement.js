@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Lot a quantity was taken from or put into
+const lotUsageSchema = new mongoose.Schema({
+    lotId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+    },
+    lotNumber: {
+        type: String
+    },
+    expiryDate: {
+        type: Date
+    },
+    quantity: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
+// One change to a raw material's stock at a branch. Stock in is positive and
+// stock out negative, so a branch's quantity is the sum of its movements.
+// Movements are never edited; a mistake is put right with an adjustment.
+const stockMovementSchema = new mongoose.Schema({
+    // Stock items keep the string ids from the JSON stock file
+    stockItemId: {
+        type: String,
+        ref: 'StockItem',
+        required: true
+    },
+    stockItemName: {
+        type: String,
+        required: true
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
+    type: {
+        type: String,
+        enum: [
+            'opening', 'purchase', 'production', 'sale', 'sale-return',
+            'wastage', 'adjustment', 'transfer-in', 'transfer-out'
+        ],
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true
+    },
+    // Cost of one unit: the price paid for purchases and opening stock, the
+    // average cost at the time for everything else
+    unitCost: {
+        type: Number,
+        min: 0
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // What caused the movement, when it came from another record
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale'
+    },
+    batchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductionBatch'
+    },
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockTransfer'
+    },
+    goodsReceiptId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GoodsReceipt'
+    },
+    // Lots the stock came out of or went into
+    lots: [lotUsageSchema],
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+stockMovementSchema.index({ stockItemId: 1, date: 1, createdAt: 1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Lot a quantity was taken from or put into
+const lotUsageSchema = new mongoose.Schema({
+    lotId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockLot'
+    },
+    lotNumber: {
+        type: String
+    },
+    expiryDate: {
+        type: Date
+    },
+    quantity: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
+const transferItemSchema = new mongoose.Schema({
+    // 'product' moves finished goods, 'material' moves raw materials
+    kind: {
+        type: String,
+        enum: ['product', 'material'],
+        required: true
+    },
+    itemId: {
+        type: String,
+        required: true
+    },
+    itemName: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    unit: {
+        type: String,
+        trim: true
+    },
+    lots: [lotUsageSchema]
+}, { _id: false });
+
+// Stock sent from one branch to another. The quantities move as soon as the
+// transfer is saved.
+const stockTransferSchema = new mongoose.Schema({
+    transferNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    fromBranchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true,
+        index: true
+    },
+    toBranchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch',
+        required: true,
+        index: true
+    },
+    items: [transferItemSchema],
+    notes: {
+        type: String,
+        trim: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
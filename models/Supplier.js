@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Someone we buy raw materials from: milk, sugar, ghee, dry fruits and so on
+const supplierSchema = new mongoose.Schema({
+    // User who added the supplier; suppliers are shared by the whole factory
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    contactPerson: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    // Days after the bill date that payment falls due
+    paymentTermsDays: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+supplierSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+module.exports = mongoose.model('Supplier', supplierSchema);
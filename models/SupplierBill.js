@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A supplier's bill: what we owe them. Payments are SupplierPayment records;
+// amountPaid, amountDue and status are worked out from them.
+const supplierBillSchema = new mongoose.Schema({
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true,
+        index: true
+    },
+    purchaseOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder'
+    },
+    // The number printed on the supplier's bill
+    billNumber: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    billDate: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    dueDate: {
+        type: Date
+    },
+    // Bill total including tax
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    amountDue: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'partial', 'paid'],
+        default: 'pending'
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// A supplier doesn't reuse a bill number
+supplierBillSchema.index({ supplierId: 1, billNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('SupplierBill', supplierBillSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const supplierPaymentSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    billId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SupplierBill',
+        required: true,
+        index: true
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true,
+        index: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'cheque', 'bank'],
+        default: 'cash'
+    },
+    date: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    // UPI transaction id, cheque number or bank reference
+    reference: {
+        type: String,
+        trim: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('SupplierPayment', supplierPaymentSchema);
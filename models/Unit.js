@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Units stock and products are kept in before units were managed, so existing
+// records keep matching codes
+const DEFAULT_UNITS = [
+    { code: 'grams', name: 'Grams (g)', dimension: 'mass', factor: 1 },
+    { code: 'kg', name: 'Kilograms (kg)', dimension: 'mass', factor: 1000 },
+    { code: 'ml', name: 'Millilitres (ml)', dimension: 'volume', factor: 1 },
+    { code: 'liters', name: 'Liters (L)', dimension: 'volume', factor: 1000 },
+    { code: 'pieces', name: 'Pieces', dimension: 'count', factor: 1 },
+    { code: 'dozen', name: 'Dozen', dimension: 'count', factor: 12 },
+    { code: 'boxes', name: 'Boxes' },
+    { code: 'packets', name: 'Packets' },
+    { code: 'bags', name: 'Bags' }
+];
+
+// A unit of measure. Units of the same dimension convert through their
+// factor, the number of the dimension's smallest unit (grams, millilitres or
+// pieces) in one of them. Units without a dimension, like boxes, don't
+// convert; a product's selling units say how much a box holds.
+const unitSchema = new mongoose.Schema({
+    // Stored on stock items, products and recipe lines, e.g. 'kg'
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    dimension: {
+        type: String,
+        enum: ['mass', 'volume', 'count']
+    },
+    factor: {
+        type: Number,
+        default: 1,
+        min: 0.000001
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Every unit, with the defaults created the first time units are needed
+unitSchema.statics.getAll = async function() {
+    const units = await this.find().sort({ dimension: 1, factor: 1, name: 1 });
+    if (units.length > 0) return units;
+
+    try {
+        await this.insertMany(DEFAULT_UNITS, { ordered: false });
+    } catch (error) {
+        // Another request created them at the same time
+        if (error.code !== 11000) throw error;
+    }
+    return this.find().sort({ dimension: 1, factor: 1, name: 1 });
+};
+
+module.exports = mongoose.model('Unit', unitSchema);
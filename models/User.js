@@ -32,6 +32,11 @@ const userSchema = new mongoose.Schema({
         enum: ['admin', 'manager', 'employee'],
         default: 'employee'
     },
+    // Branch the user works at; their sales are recorded there
+    branchId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Branch'
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -39,6 +44,12 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    // Set when an admin invites the user or resets their password; the user
+    // has to pick a new password before using the app
+    mustChangePassword: {
+        type: Boolean,
+        default: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
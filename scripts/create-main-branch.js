@@ -0,0 +1,58 @@
+// One-time migration for branch support: create the main (factory) branch,
+// move every existing stock quantity into it, and record the factory as the
+// branch of past sales, production batches, stock consumption and users.
+// Safe to run more than once: anything that already has a branch is left alone.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Branch = require('../models/Branch');
+const StockItem = require('../models/StockItem');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const SimpleSale = require('../models/SimpleSale');
+const ProductionBatch = require('../models/ProductionBatch');
+const StockConsumption = require('../models/StockConsumption');
+const User = require('../models/User');
+
+const withoutBranchStock = { $or: [{ branchStock: { $exists: false } }, { branchStock: { $size: 0 } }] };
+const withoutBranch = { branchId: null };
+
+async function run() {
+    if (!process.env.URL) {
+        throw new Error('URL is not set; add the MongoDB connection string to .env');
+    }
+
+    await mongoose.connect(process.env.URL);
+    console.log('Connected to MongoDB');
+
+    const main = await Branch.getMain();
+    console.log(`Main branch: ${main.name} (${main.code})`);
+
+    // Update pipelines copy each document's own total into its branch entry
+    const stock = await StockItem.updateMany(withoutBranchStock, [
+        { $set: { branchStock: [{ branchId: main._id, quantity: { $ifNull: ['$quantity', 0] } }] } }
+    ]);
+    const products = await Product.updateMany(withoutBranchStock, [
+        { $set: { branchStock: [{ branchId: main._id, quantity: { $ifNull: ['$finishedStock', 0] } }] } }
+    ]);
+    console.log(`Moved ${stock.modifiedCount} raw materials and ${products.modifiedCount} products into ${main.name}`);
+
+    const setMain = { $set: { branchId: main._id } };
+    const results = await Promise.all([
+        Sale.updateMany(withoutBranch, setMain),
+        SimpleSale.updateMany(withoutBranch, setMain),
+        ProductionBatch.updateMany(withoutBranch, setMain),
+        StockConsumption.updateMany(withoutBranch, setMain),
+        User.updateMany(withoutBranch, setMain)
+    ]);
+    const [sales, simpleSales, batches, consumption, users] = results.map(r => r.modifiedCount);
+    console.log(`Assigned ${sales} sales, ${simpleSales} simple sales, ${batches} production batches, ` +
+        `${consumption} consumption entries and ${users} users to ${main.name}`);
+}
+
+run()
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,92 @@
+// One-time import of the old JSON catalog (data/products.json, data/stock.json)
+// into MongoDB. The original string ids (e.g. 'pedha-1') are kept as _id so that
+// existing sales, recipes and consumption records still point at the right items.
+// Safe to run more than once: records that already exist are left untouched.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Product = require('../models/Product');
+const StockItem = require('../models/StockItem');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const readJson = (file) => {
+    const filePath = path.join(DATA_DIR, file);
+    if (!fs.existsSync(filePath)) {
+        console.log(`${file} not found, skipping`);
+        return [];
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error(`Error reading ${file}:`, error);
+        return [];
+    }
+};
+
+const importRecords = async (Model, records, toDocument) => {
+    let inserted = 0;
+    let skipped = 0;
+
+    for (const record of records) {
+        if (!record.id) {
+            skipped++;
+            continue;
+        }
+
+        const result = await Model.updateOne(
+            { _id: record.id },
+            { $setOnInsert: toDocument(record) },
+            { upsert: true }
+        );
+        if (result.upsertedCount) {
+            inserted++;
+        } else {
+            skipped++;
+        }
+    }
+
+    return { inserted, skipped };
+};
+
+const toDate = (value) => (value ? new Date(value) : new Date());
+
+async function run() {
+    if (!process.env.URL) {
+        throw new Error('URL is not set; add the MongoDB connection string to .env');
+    }
+
+    await mongoose.connect(process.env.URL);
+    console.log('Connected to MongoDB');
+
+    const stock = await importRecords(StockItem, readJson('stock.json'), item => ({
+        name: item.name,
+        quantity: parseFloat(item.quantity) || 0,
+        unit: item.unit,
+        description: item.description,
+        lastUpdated: toDate(item.lastUpdated)
+    }));
+    console.log(`Stock items: ${stock.inserted} imported, ${stock.skipped} skipped`);
+
+    const products = await importRecords(Product, readJson('products.json'), product => ({
+        name: product.name,
+        price: parseFloat(product.price) || 0,
+        unit: product.unit || 'kg',
+        description: product.description,
+        category: product.category,
+        recipe: Array.isArray(product.recipe) ? product.recipe : [],
+        finishedStock: parseFloat(product.finishedStock) || 0,
+        createdAt: toDate(product.createdAt),
+        updatedAt: toDate(product.updatedAt || product.createdAt)
+    }));
+    console.log(`Products: ${products.inserted} imported, ${products.skipped} skipped`);
+}
+
+run()
+    .catch(error => {
+        console.error('Import failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
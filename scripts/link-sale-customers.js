@@ -0,0 +1,70 @@
+// One-time backfill: create Customer records from the names and phone numbers
+// typed into existing sales and link each sale to its customer. Sales with the
+// same phone number (or, without a phone, the same name) end up on one customer.
+// Safe to run more than once: sales that already have a customer are skipped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const SimpleSale = require('../models/SimpleSale');
+
+const customerKey = (sale) => {
+    const phone = (sale.customerPhone || '').trim();
+    return phone ? `phone:${phone}` : `name:${(sale.customerName || '').trim().toLowerCase()}`;
+};
+
+async function linkSales(Model, cache) {
+    const sales = await Model.find({ customerId: null }).sort({ date: 1 });
+    let linked = 0;
+
+    for (const sale of sales) {
+        const phone = (sale.customerPhone || '').trim();
+        const name = (sale.customerName || '').trim();
+        if (!name) continue;
+
+        const key = customerKey(sale);
+        let customer = cache.get(key);
+        if (!customer) {
+            customer = phone
+                ? await Customer.findOne({ phone })
+                : await Customer.findOne({ phone: { $in: [null, ''] }, name });
+        }
+        if (!customer) {
+            customer = await new Customer({
+                userId: sale.userId,
+                name,
+                phone: phone || undefined,
+                address: sale.customerAddress
+            }).save();
+        }
+        cache.set(key, customer);
+
+        await Model.updateOne({ _id: sale._id }, { $set: { customerId: customer._id } });
+        linked++;
+    }
+
+    return linked;
+}
+
+async function run() {
+    if (!process.env.URL) {
+        throw new Error('URL is not set; add the MongoDB connection string to .env');
+    }
+
+    await mongoose.connect(process.env.URL);
+    console.log('Connected to MongoDB');
+
+    const cache = new Map();
+    const sales = await linkSales(Sale, cache);
+    const simpleSales = await linkSales(SimpleSale, cache);
+
+    console.log(`Linked ${sales} sales and ${simpleSales} simple sales to ${cache.size} customers`);
+}
+
+run()
+    .catch(error => {
+        console.error('Backfill failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,110 @@
+// One-time migration: fold the old salarycalculations collection into salaries
+// and give every salary its line items.
+//
+// A SalaryCalculation with no matching salary (same employee, month and year)
+// is copied across. When both exist the paid one wins; if both or neither are
+// paid the salary is kept, since that is what the app has been showing. Every
+// conflict is printed so it can be checked by hand. The old collection is then
+// renamed to salarycalculations_merged rather than dropped.
+// Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Salary = require('../models/Salary');
+
+const SOURCE = 'salarycalculations';
+const BACKUP = 'salarycalculations_merged';
+
+const COPIED_FIELDS = [
+    'basicSalary', 'presentDays', 'absentDays', 'halfDays', 'totalWorkingDays',
+    'calculatedSalary', 'advanceDeductions', 'status', 'paidDate'
+];
+
+const pick = (doc) => COPIED_FIELDS.reduce((fields, key) => {
+    if (doc[key] !== undefined) fields[key] = doc[key];
+    return fields;
+}, {});
+
+async function mergeCalculations() {
+    const collections = await mongoose.connection.db.listCollections({ name: SOURCE }).toArray();
+    if (collections.length === 0) {
+        console.log(`No ${SOURCE} collection; nothing to merge`);
+        return { copied: 0, replaced: 0, kept: 0 };
+    }
+
+    const calculations = await mongoose.connection.db.collection(SOURCE).find().toArray();
+    const counts = { copied: 0, replaced: 0, kept: 0 };
+
+    for (const calc of calculations) {
+        const key = { employeeId: calc.employeeId, month: calc.month, year: calc.year };
+        const salary = await Salary.findOne(key);
+        const label = `employee ${calc.employeeId} ${calc.month}/${calc.year}`;
+
+        if (!salary) {
+            await new Salary({
+                ...key,
+                ...pick(calc),
+                createdAt: calc.createdAt,
+                history: [{ action: 'migrated', note: `Copied from SalaryCalculation ${calc._id}` }]
+            }).save();
+            counts.copied++;
+            continue;
+        }
+
+        if (calc.status === 'paid' && salary.status !== 'paid') {
+            console.warn(`Conflict for ${label}: using paid SalaryCalculation ${calc._id} over pending salary ${salary._id}; check its advance recoveries`);
+            const before = { netSalary: salary.netSalary, status: salary.status };
+            salary.set(pick(calc));
+            salary.lines = [];
+            salary.syncLines();
+            salary.history.push({
+                action: 'migrated',
+                note: `Replaced by paid SalaryCalculation ${calc._id}`,
+                changes: [
+                    { field: 'status', from: before.status, to: salary.status },
+                    { field: 'netSalary', from: before.netSalary, to: salary.netSalary }
+                ]
+            });
+            await salary.save();
+            counts.replaced++;
+        } else {
+            if (calc.netSalary !== salary.netSalary || calc.status !== salary.status) {
+                console.warn(`Conflict for ${label}: kept salary ${salary._id}, ignored SalaryCalculation ${calc._id}`);
+            }
+            counts.kept++;
+        }
+    }
+
+    await mongoose.connection.db.collection(SOURCE).rename(BACKUP, { dropTarget: true });
+    return counts;
+}
+
+// Salaries saved before line items existed get them built from their totals
+async function addLines() {
+    const salaries = await Salary.find({ 'lines.0': { $exists: false } });
+    for (const salary of salaries) {
+        await salary.save();
+    }
+    return salaries.length;
+}
+
+async function run() {
+    if (!process.env.URL) {
+        throw new Error('URL is not set; add the MongoDB connection string to .env');
+    }
+
+    await mongoose.connect(process.env.URL);
+    console.log('Connected to MongoDB');
+
+    const counts = await mergeCalculations();
+    const lined = await addLines();
+
+    console.log(`Copied ${counts.copied}, replaced ${counts.replaced} and kept ${counts.kept} salaries; added line items to ${lined}`);
+}
+
+run()
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
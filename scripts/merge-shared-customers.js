@@ -0,0 +1,63 @@
+// One-time migration: customers used to be kept per user, so the same phone
+// number could appear once for every counter user. Now that customers are shared
+// by the whole factory, merge those duplicates into the oldest record, move their
+// sales and payments across and rebuild the phone index (one customer per phone).
+// Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const SimpleSale = require('../models/SimpleSale');
+const Payment = require('../models/Payment');
+
+const MERGED_FIELDS = ['email', 'address', 'gstin', 'stateCode', 'notes'];
+
+async function run() {
+    if (!process.env.URL) {
+        throw new Error('URL is not set; add the MongoDB connection string to .env');
+    }
+
+    await mongoose.connect(process.env.URL);
+    console.log('Connected to MongoDB');
+
+    const customers = await Customer.find().sort({ createdAt: 1 });
+    const kept = new Map();
+    let merged = 0;
+
+    for (const customer of customers) {
+        const phone = (customer.phone || '').trim();
+        const key = phone ? `phone:${phone}` : `name:${customer.name.trim().toLowerCase()}`;
+        const keeper = kept.get(key);
+        if (!keeper) {
+            kept.set(key, customer);
+            continue;
+        }
+
+        // Keep whatever the older record is missing
+        MERGED_FIELDS.forEach(field => {
+            if (!keeper[field] && customer[field]) keeper[field] = customer[field];
+        });
+        await keeper.save();
+
+        const move = { $set: { customerId: keeper._id } };
+        await Promise.all([
+            Sale.updateMany({ customerId: customer._id }, move),
+            SimpleSale.updateMany({ customerId: customer._id }, move),
+            Payment.updateMany({ customerId: customer._id }, move)
+        ]);
+        await Customer.deleteOne({ _id: customer._id });
+        console.log(`Merged ${customer.name} (${phone || 'no phone'}) into ${keeper._id}`);
+        merged++;
+    }
+
+    await Customer.syncIndexes();
+    console.log(`Merged ${merged} duplicate customers; ${kept.size} customers remain`);
+}
+
+run()
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
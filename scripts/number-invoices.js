@@ -0,0 +1,52 @@
+// One-time backfill: give sales that never got an invoice number (simple sales
+// were never numbered) a number from the shared financial-year series, then
+// bring the invoice number indexes in line with the models. Sales that already
+// have a number keep it. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Counter = require('../models/Counter');
+const FactoryProfile = require('../models/FactoryProfile');
+const Sale = require('../models/Sale');
+const SimpleSale = require('../models/SimpleSale');
+
+async function numberSales(Model, profile) {
+    const sales = await Model.find({ invoiceNumber: null }).sort({ date: 1, createdAt: 1 });
+
+    for (const sale of sales) {
+        const financialYear = Counter.financialYear(sale.date || sale.createdAt);
+        const seq = await Counter.next(`invoice:${financialYear}`);
+        await Model.updateOne(
+            { _id: sale._id },
+            { $set: { invoiceNumber: profile.formatInvoiceNumber(financialYear, seq) } }
+        );
+    }
+
+    return sales.length;
+}
+
+async function run() {
+    if (!process.env.URL) {
+        throw new Error('URL is not set; add the MongoDB connection string to .env');
+    }
+
+    await mongoose.connect(process.env.URL);
+    console.log('Connected to MongoDB');
+
+    const profile = await FactoryProfile.getProfile();
+    const sales = await numberSales(Sale, profile);
+    const simpleSales = await numberSales(SimpleSale, profile);
+
+    // Replaces the old non-unique invoiceNumber index with the unique one
+    await Sale.syncIndexes();
+    await SimpleSale.syncIndexes();
+
+    console.log(`Numbered ${sales} sales and ${simpleSales} simple sales`);
+}
+
+run()
+    .catch(error => {
+        console.error('Backfill failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
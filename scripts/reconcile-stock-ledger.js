@@ -0,0 +1,63 @@
+// Bring the stock ledger in line with the raw materials on hand. The first run
+// records each branch's current quantity as opening stock; later runs record
+// any difference between the ledger and the stock on hand as an adjustment.
+// Run `npm run migrate:branches` first so every quantity belongs to a branch.
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const StockItem = require('../models/StockItem');
+const StockMovement = require('../models/StockMovement');
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+async function run() {
+    if (!process.env.URL) {
+        throw new Error('URL is not set; add the MongoDB connection string to .env');
+    }
+
+    await mongoose.connect(process.env.URL);
+    console.log('Connected to MongoDB');
+
+    const items = await StockItem.find();
+    let opened = 0;
+    let adjusted = 0;
+
+    for (const item of items) {
+        const movements = await StockMovement.find({ stockItemId: item._id }).select('branchId quantity');
+        const branchIds = new Set([
+            ...item.branchStock.map(b => String(b.branchId)),
+            ...movements.map(m => String(m.branchId))
+        ]);
+
+        for (const branchId of branchIds) {
+            const entry = item.branchStock.find(b => String(b.branchId) === branchId);
+            const onHand = entry ? entry.quantity : 0;
+            const branchMovements = movements.filter(m => String(m.branchId) === branchId);
+            const difference = round(onHand - branchMovements.reduce((sum, m) => sum + m.quantity, 0));
+            if (difference === 0) continue;
+
+            const isOpening = branchMovements.length === 0;
+            await StockMovement.create({
+                stockItemId: item._id,
+                stockItemName: item.name,
+                unit: item.unit,
+                branchId,
+                type: isOpening ? 'opening' : 'adjustment',
+                quantity: difference,
+                reason: isOpening ? 'Stock on hand when the ledger was started' : 'Reconciled with stock on hand',
+                date: new Date()
+            });
+            if (isOpening) opened++; else adjusted++;
+            console.log(`${item.name}: ${difference > 0 ? '+' : ''}${difference} ${item.unit || ''}`.trim());
+        }
+    }
+
+    console.log(`Recorded ${opened} opening balances and ${adjusted} adjustments`);
+}
+
+run()
+    .catch(error => {
+        console.error('Reconciliation failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -1,8 +1,7 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
+const util = require('util');
 const puppeteer = require('puppeteer');
 const PDFDocument = require('pdfkit');
 const mongoose = require('mongoose');
@@ -16,9 +15,31 @@ const Employee = require('./models/Employee');
 const Attendance = require('./models/Attendance');
 const Advance = require('./models/Advance');
 const Salary = require('./models/Salary');
+const PayrollLock = require('./models/PayrollLock');
+const PayrollSettings = require('./models/PayrollSettings');
+const Holiday = require('./models/Holiday');
 const Sale = require('./models/Sale');
 const SimpleSale = require('./models/SimpleSale');
 const User = require('./models/User');
+const StockConsumption = require('./models/StockConsumption');
+const ProductionBatch = require('./models/ProductionBatch');
+const Product = require('./models/Product');
+const StockItem = require('./models/StockItem');
+const Customer = require('./models/Customer');
+const Payment = require('./models/Payment');
+const FactoryProfile = require('./models/FactoryProfile');
+const Counter = require('./models/Counter');
+const Branch = require('./models/Branch');
+const StockTransfer = require('./models/StockTransfer');
+const StockMovement = require('./models/StockMovement');
+const StockLot = require('./models/StockLot');
+const Supplier = require('./models/Supplier');
+const PurchaseOrder = require('./models/PurchaseOrder');
+const GoodsReceipt = require('./models/GoodsReceipt');
+const SupplierBill = require('./models/SupplierBill');
+const SupplierPayment = require('./models/SupplierPayment');
+const Unit = require('./models/Unit');
+const AuditLog = require('./models/AuditLog');
 const dburl =process.env.URL;
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -31,7 +52,6 @@ mongoose.connect(dburl ,{
     console.log('Connected to MongoDB');
 }).catch(err => {
     console.log('MongoDB connection error:', err);
-    console.log('Continuing with JSON file storage...');
 });
 
 // Middleware
@@ -70,6 +90,7 @@ app.engine('hbs', hbs.engine({
     helpers: {
         eq: function(a, b) { return a === b; },
         lt: function(a, b) { return a < b; },
+        and: function(a, b) { return a && b; },
         formatDate: function(dateString, format) {
             if (!dateString) return '';
             if (format === 'YYYY-MM-DD') {
@@ -82,986 +103,5954 @@ app.engine('hbs', hbs.engine({
 app.set('view engine', 'hbs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Data storage files
-const DATA_DIR = 'data';
-const STOCK_FILE = path.join(DATA_DIR, 'stock.json');
-const PRODUCTS_FILE = path.join(DATA_DIR, 'products.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR);
-}
-
-// Initialize data files if they don't exist
-const initializeDataFile = (filePath, defaultData) => {
-    if (!fs.existsSync(filePath)) {
-        fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2));
-    }
-};
-
-initializeDataFile(STOCK_FILE, [
-    { id: 'sugar', name: 'Sugar', quantity: 100, unit: 'kg', lastUpdated: new Date().toISOString() },
-    { id: 'milk', name: 'Milk', quantity: 50, unit: 'liters', lastUpdated: new Date().toISOString() }
-]);
-initializeDataFile(PRODUCTS_FILE, [
-    { id: 'pedha-1', name: 'Kesar Pedha', price: 200, unit: 'kg', description: 'Premium Kesar Pedha' },
-    { id: 'pedha-2', name: 'Chocolate Pedha', price: 250, unit: 'kg', description: 'Delicious Chocolate Pedha' },
-    { id: 'pedha-3', name: 'Plain Pedha', price: 180, unit: 'kg', description: 'Traditional Plain Pedha' }
-]);
-
 // Helper functions
-const readData = (filePath) => {
-    try {
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${filePath}:`, error);
-        return [];
-    }
+// Convert a quantity between two units of the same dimension, e.g. 250 grams
+// to 0.25 kg. Null when the units don't convert into each other.
+const convertQuantity = (quantity, from, to, units) => {
+    if (!from || !to || from === to) return quantity;
+    const fromUnit = units.find(u => u.code === from);
+    const toUnit = units.find(u => u.code === to);
+    if (!fromUnit || !toUnit || !fromUnit.dimension || fromUnit.dimension !== toUnit.dimension) return null;
+    return Math.round(quantity * fromUnit.factor / toUnit.factor * 1000000) / 1000000;
 };
 
-const writeData = (filePath, data) => {
-    try {
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-        return true;
-    } catch (error) {
-        console.error(`Error writing ${filePath}:`, error);
-        return false;
-    }
+// Codes of the units a quantity in `code` can be entered in: itself and the
+// units of the same dimension
+const getConvertibleUnits = (code, units) => {
+    const unit = units.find(u => u.code === code);
+    return units
+        .filter(u => u.code === code || (unit && unit.dimension && u.dimension === unit.dimension))
+        .map(u => u.code);
 };
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-    if (req.session.userId) {
-        next();
-    } else {
-        res.redirect('/auth/login');
+// Options for a unit select. A unit no longer in the list, e.g. one saved
+// before units were managed, is kept so the record doesn't change unit.
+const getUnitOptions = (units, selected) => {
+    const options = units.map(u => ({ code: u.code, name: u.name, selected: u.code === selected }));
+    if (selected && !options.some(o => o.selected)) {
+        options.push({ code: selected, name: selected, selected: true });
     }
+    return options;
 };
 
-// Make user data available to all views
-app.use((req, res, next) => {
-    res.locals.user = req.session.user || null;
-    next();
-});
-
-// Routes
+// Stock items for a recipe, each with the units its quantity can be entered in
+const getRecipeStock = async (units) => {
+    const stock = await StockItem.find().sort({ name: 1 });
+    return stock.map(s => ({ ...s.toObject(), unitsJson: JSON.stringify(getConvertibleUnits(s.unit, units)) }));
+};
 
-// Authentication Routes
-app.get('/auth/login', (req, res) => {
-    if (req.session.userId) {
-        return res.redirect('/');
+// Build a product recipe from the submitted rows. Each line is the quantity of a
+// stock item used to make one unit of the product. A line entered in another
+// unit, e.g. grams of a material kept in kg, is converted to the item's unit.
+const parseRecipe = (rows, stock, units) => {
+    let normalized = [];
+    if (Array.isArray(rows)) {
+        normalized = rows;
+    } else if (rows && typeof rows === 'object') {
+        normalized = Object.values(rows);
     }
-    res.render('auth/login', { title: 'Login', layout: false });
-});
 
-app.post('/auth/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        const user = await User.findOne({ 
-            $or: [{ username }, { email: username }],
-            isActive: true 
-        });
-        
-        if (!user) {
-            return res.render('auth/login', { 
-                error: 'Invalid username or password',
-                title: 'Login',
-                layout: false
-            });
-        }
-        
-        const isMatch = await user.comparePassword(password);
-        if (!isMatch) {
-            return res.render('auth/login', { 
-                error: 'Invalid username or password',
-                title: 'Login',
-                layout: false
-            });
-        }
-        
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
-        
-        // Set session
-        req.session.userId = user._id;
-        req.session.user = {
-            id: user._id,
-            username: user.username,
-            fullName: user.fullName,
-            email: user.email,
-            role: user.role
-        };
-        
-        res.redirect('/');
-    } catch (error) {
-        console.error('Login error:', error);
-        res.render('auth/login', { 
-            error: 'An error occurred during login',
-            title: 'Login',
-            layout: false
+    const recipe = [];
+    for (const row of normalized) {
+        const entered = parseFloat(row.quantity);
+        const stockItem = stock.find(s => s.id === row.stockItemId);
+        if (!stockItem || !entered || entered <= 0) continue;
+        const quantity = convertQuantity(entered, row.unit, stockItem.unit, units || []);
+        if (!(quantity > 0)) continue;
+        recipe.push({
+            stockItemId: stockItem.id,
+            stockItemName: stockItem.name,
+            quantity,
+            unit: stockItem.unit
         });
     }
-});
+    return recipe;
+};
 
-app.get('/auth/register', (req, res) => {
-    if (req.session.userId) {
-        return res.redirect('/');
+// Build a product's selling units from the submitted rows. Each is sold at
+// its own price and holds `size` of `sizeUnit`, converted to the product's
+// unit. Returns { sellingUnits } or { error }.
+const parseSellingUnits = (rows, productUnit, units) => {
+    let normalized = [];
+    if (Array.isArray(rows)) {
+        normalized = rows;
+    } else if (rows && typeof rows === 'object') {
+        normalized = Object.values(rows);
     }
-    res.render('auth/register', { title: 'Register', layout: false });
-});
 
-app.post('/auth/register', async (req, res) => {
-    try {
-        const { username, email, password, confirmPassword, fullName, role } = req.body;
-        
-        // Validation
-        if (password !== confirmPassword) {
-            return res.render('auth/register', { 
-                error: 'Passwords do not match',
-                title: 'Register',
-                layout: false
-            });
+    const sellingUnits = [];
+    for (const row of normalized) {
+        const name = (row.name || '').trim();
+        const size = parseFloat(row.size);
+        const price = parseFloat(row.price);
+        if (!name && !size) continue;
+        if (!name || !(size > 0) || !(price >= 0)) {
+            return { error: 'Each selling unit needs a name, a size and a price.' };
         }
-        
-        // Check if user already exists
-        const existingUser = await User.findOne({
-            $or: [{ username }, { email }]
-        });
-        
-        if (existingUser) {
-            return res.render('auth/register', { 
-                error: 'Username or email already exists',
-                title: 'Register',
-                layout: false
-            });
+        if (name === productUnit || sellingUnits.some(u => u.name === name)) {
+            return { error: `There is already a selling unit called ${name}.` };
         }
-        
-        // Create new user
-        const user = new User({
-            username,
-            email,
-            password,
-            fullName,
-            role: role || 'employee'
-        });
-        
-        await user.save();
-        
-        res.render('auth/login', { 
-            success: 'Account created successfully! Please login.',
-            title: 'Login',
-            layout: false
-        });
-    } catch (error) {
-        console.error('Registration error:', error);
-        res.render('auth/register', { 
-            error: 'An error occurred during registration',
-            title: 'Register',
-            layout: false
-        });
+        const sizeUnit = row.sizeUnit || productUnit;
+        const quantity = convertQuantity(size, sizeUnit, productUnit, units);
+        if (quantity === null) {
+            return { error: `${name}: ${sizeUnit} can't be converted to ${productUnit}. Give its size in ${getConvertibleUnits(productUnit, units).join(' or ')}.` };
+        }
+        sellingUnits.push({ name, size, sizeUnit, quantity, price: roundMoney(price) });
     }
-});
+    return { sellingUnits };
+};
 
-app.post('/auth/logout', (req, res) => {
-    req.session.destroy((err) => {
-        if (err) {
-            console.error('Logout error:', err);
-        }
-        res.redirect('/auth/login');
-    });
-});
+// A sale line's quantity in the product's own unit, which stock and recipes use
+const getBaseQuantity = (item) => Math.round(item.quantity * (item.unitQuantity || 1) * 1000) / 1000;
 
-// Dashboard
-app.get('/', requireAuth, (req, res) => {
-    res.render('dashboard', {
-        title: 'Ramlila Pedhewale Factory',
-        factoryName: 'Ramlila Pedhewale-Bidkar'
-    });
+// Stock held at one branch. Quantities recorded before branches existed are
+// moved to the main branch by the branch migration.
+const getBranchQuantity = (item, branchId) => {
+    const entry = (item.branchStock || []).find(b => String(b.branchId) === String(branchId));
+    return entry ? entry.quantity : 0;
+};
+
+// How a raw material's total stock compares with its reorder level: low at or
+// below it, medium up to half as much again, good above that. Items without
+// a reorder level have no status.
+const getStockStatus = (item) => {
+    if (!(item.reorderLevel > 0)) return null;
+    if (item.quantity <= item.reorderLevel) return 'low';
+    return item.quantity <= item.reorderLevel * 1.5 ? 'medium' : 'good';
+};
+
+// Raw materials at or below their reorder level
+const STOCK_ALERT_FILTER = { reorderLevel: { $gt: 0 }, $expr: { $lte: ['$quantity', '$reorderLevel'] } };
+
+// A product's selling price at a branch: the branch's override or the standard price
+const getBranchPrice = (product, branchId) => {
+    const override = (product.branchPrices || []).find(b => String(b.branchId) === String(branchId));
+    return override ? override.price : product.price;
+};
+
+// Products as one branch sees them: its own price and its own finished stock
+const productsForBranch = (products, branchId) => products.map(product => {
+    const price = getBranchPrice(product, branchId);
+    // Units the sale form offers: the product's own unit at the branch price,
+    // then its selling units
+    const saleUnits = [
+        { name: product.unit || 'unit', quantity: 1, price },
+        ...(product.sellingUnits || []).map(u => ({ name: u.name, quantity: u.quantity, price: u.price }))
+    ];
+    return {
+        ...product,
+        standardPrice: product.price,
+        price,
+        finishedStock: getBranchQuantity(product, branchId),
+        saleUnits,
+        saleUnitsJson: JSON.stringify(saleUnits)
+    };
 });
 
-// Sales Management Routes
-// Sales list - show both simple and multi-product sales
-app.get('/sales', requireAuth, async (req, res) => {
-    try {
-        const [simpleSales, multiSales] = await Promise.all([
-            SimpleSale.find({ userId: req.session.userId }).sort({ createdAt: -1 }),
-            Sale.find({ userId: req.session.userId }).sort({ createdAt: -1 })
-        ]);
+// Overall totals kept alongside the per-branch figures
+const BRANCH_STOCK_TOTALS = { StockItem: 'quantity', Product: 'finishedStock' };
 
-        const simpleMapped = simpleSales.map(s => ({
-            ...s.toObject(),
-            type: 'simple',
-            totalAmount: s.amount
-        }));
+// Add to (or, with a negative change, take from) one branch's stock of a raw
+// material or product. The overall total changes in the same update.
+const adjustBranchStock = async (Model, id, branchId, change) => {
+    const totalField = BRANCH_STOCK_TOTALS[Model.modelName];
+    const touched = Model === StockItem ? { $set: { lastUpdated: new Date() } } : {};
 
-        const multiMapped = multiSales.map(sale => ({
-            ...sale.toObject(),
-            type: 'multiple',
-            productName: sale.items.length > 1 ?
-                `${sale.items[0].productName} + ${sale.items.length - 1} more` :
-                sale.items[0]?.productName || 'Multiple Products'
-        }));
+    // Tried twice in case another request adds this branch's entry in between
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const updated = await Model.findOneAndUpdate(
+            { _id: id, 'branchStock.branchId': branchId },
+            { $inc: { 'branchStock.$.quantity': change, [totalField]: change }, ...touched },
+            { new: true }
+        );
+        if (updated) return updated;
 
-        const allSales = [...simpleMapped, ...multiMapped]
-            .sort((a, b) => new Date(b.createdAt || b.date) - new Date(a.createdAt || a.date));
+        const added = await Model.findOneAndUpdate(
+            { _id: id, 'branchStock.branchId': { $ne: branchId } },
+            { $push: { branchStock: { branchId, quantity: change } }, $inc: { [totalField]: change }, ...touched },
+            { new: true }
+        );
+        if (added) return added;
+    }
+    return null;
+};
 
-        const totalSales = allSales.reduce((sum, s) => sum + (s.totalAmount || 0), 0);
-        const totalQuantity = multiSales.reduce((sum, sale) =>
-            sum + sale.items.reduce((itemSum, item) => itemSum + item.quantity, 0), 0);
+// Take up to `wanted` from one branch without going below zero and return how
+// much was taken. The update only applies if the branch still holds that much,
+// so two counters selling the last pieces can't both take them.
+const takeBranchStock = async (Model, id, branchId, wanted) => {
+    const totalField = BRANCH_STOCK_TOTALS[Model.modelName];
 
-        res.render('sales/list', {
-            sales: allSales,
-            totalSales,
-            totalQuantity,
-            title: 'Sales Management'
-        });
-    } catch (error) {
-        console.error('Error loading sales:', error);
-        res.status(500).send('Error loading sales');
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const item = await Model.findById(id);
+        if (!item) return 0;
+
+        const take = Math.round(Math.min(Math.max(0, getBranchQuantity(item, branchId)), wanted) * 1000) / 1000;
+        if (take <= 0) return 0;
+
+        const result = await Model.updateOne(
+            { _id: id, branchStock: { $elemMatch: { branchId, quantity: { $gte: take } } } },
+            { $inc: { 'branchStock.$.quantity': -take, [totalField]: -take } }
+        );
+        if (result.modifiedCount > 0) return take;
     }
+    return 0;
+};
+
+// Record a change to a raw material's stock at a branch in the stock ledger.
+// `movement` has the type, reason, user, date and the sale, batch or transfer behind it.
+const logStockMovement = (stockItem, branchId, quantity, movement) => StockMovement.create({
+    stockItemId: stockItem._id,
+    stockItemName: stockItem.name,
+    unit: stockItem.unit,
+    branchId,
+    quantity: Math.round(quantity * 1000) / 1000,
+    unitCost: stockItem.averageCost || 0,
+    ...movement
 });
 
-// Single-product sale routes have been removed
+// Fold `quantity` bought at `unitCost` into a material's weighted-average cost.
+// `stockItem` already includes the new quantity. Stock that was never costed
+// doesn't drag the average down to zero.
+const updateAverageCost = async (stockItem, quantity, unitCost) => {
+    const previous = Math.max(0, stockItem.quantity - quantity);
+    const averageCost = previous > 0 && stockItem.averageCost > 0
+        ? (previous * stockItem.averageCost + quantity * unitCost) / (previous + quantity)
+        : unitCost;
 
-// Stock Management Routes
-app.get('/stock', requireAuth, (req, res) => {
-    const stock = readData(STOCK_FILE);
-    
-    // Calculate stock levels
-    const lowStockCount = stock.filter(item => item.quantity < 10).length;
-    const mediumStockCount = stock.filter(item => item.quantity >= 10 && item.quantity < 50).length;
-    const goodStockCount = stock.filter(item => item.quantity >= 50).length;
-    
-    res.render('stock/list', { 
-        stock, 
-        lowStockCount,
-        mediumStockCount,
-        goodStockCount,
-        title: 'Stock Management' 
-    });
-});
+    stockItem.averageCost = Math.round(averageCost * 10000) / 10000;
+    await StockItem.updateOne({ _id: stockItem._id }, { $set: { averageCost: stockItem.averageCost } });
+};
 
-app.get('/stock/add', requireAuth, (req, res) => {
-    res.render('stock/add', { title: 'Add Stock' });
-});
+// Lots in the order stock leaves them: earliest expiry first, lots without
+// an expiry last, oldest first when the expiry is the same
+const byExpiry = (a, b) =>
+    ((a.expiryDate ? a.expiryDate.getTime() : Infinity) - (b.expiryDate ? b.expiryDate.getTime() : Infinity)) ||
+    (a.receivedDate - b.receivedDate);
 
-app.post('/stock/add', requireAuth, (req, res) => {
-    const { name, quantity, unit } = req.body;
-    
-    const stockItem = {
-        id: uuidv4(),
-        name,
-        quantity: parseFloat(quantity),
-        unit,
-        lastUpdated: new Date().toISOString()
-    };
-    
-    const stock = readData(STOCK_FILE);
-    stock.push(stockItem);
-    
-    if (writeData(STOCK_FILE, stock)) {
-        res.redirect('/stock');
-    } else {
-        res.status(500).json({ error: 'Failed to save stock item' });
+// Start a lot with stock that has just come in. `details` has the lot number,
+// dates and the receipt, batch or transfer it came with.
+const createLot = async (kind, item, branchId, quantity, details) => {
+    const lot = await StockLot.create({
+        kind,
+        itemId: String(item._id),
+        itemName: item.name,
+        unit: item.unit,
+        branchId,
+        quantity,
+        remaining: quantity,
+        ...details
+    });
+    return { lotId: lot._id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity };
+};
+
+// Take `quantity` of an item at a branch out of its lots, first expiry first,
+// and return how much came from each lot. `lotId` is emptied before any other
+// lot. Anything the lots don't cover came from stock that isn't in a lot.
+const takeFromLots = async (kind, itemId, branchId, quantity, lotId) => {
+    const lots = (await StockLot.find({ kind, itemId: String(itemId), branchId, remaining: { $gt: 0 } })).sort(byExpiry);
+    if (lotId) {
+        lots.sort((a, b) => b._id.equals(lotId) - a._id.equals(lotId));
     }
-});
 
-app.get('/stock/edit/:id', requireAuth, (req, res) => {
-    const stock = readData(STOCK_FILE);
-    const stockItem = stock.find(s => s.id === req.params.id);
-    
-    if (!stockItem) {
-        return res.status(404).send('Stock item not found');
+    const taken = [];
+    let left = Math.round(quantity * 1000) / 1000;
+    for (const lot of lots) {
+        if (left <= 0) break;
+        const take = Math.round(Math.min(lot.remaining, left) * 1000) / 1000;
+        const result = await StockLot.updateOne({ _id: lot._id, remaining: { $gte: take } }, { $inc: { remaining: -take } });
+        if (result.modifiedCount === 0) continue;
+
+        taken.push({ lotId: lot._id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: take });
+        left = Math.round((left - take) * 1000) / 1000;
     }
-    
-    res.render('stock/edit', { stockItem, title: 'Edit Stock' });
-});
+    return taken;
+};
 
-app.post('/stock/edit/:id', requireAuth, (req, res) => {
-    const { name, quantity, unit } = req.body;
-    
-    const stock = readData(STOCK_FILE);
-    const stockIndex = stock.findIndex(s => s.id === req.params.id);
-    
-    if (stockIndex === -1) {
-        return res.status(404).json({ error: 'Stock item not found' });
+// Put quantities back into the lots takeFromLots took them from
+const returnToLots = async (lots) => {
+    for (const lot of lots || []) {
+        await StockLot.updateOne({ _id: lot.lotId }, { $inc: { remaining: lot.quantity } });
     }
-    
-    stock[stockIndex] = {
-        ...stock[stockIndex],
-        name,
-        quantity: parseFloat(quantity),
-        unit,
-        lastUpdated: new Date().toISOString()
-    };
-    
-    if (writeData(STOCK_FILE, stock)) {
-        res.redirect('/stock');
-    } else {
-        res.status(500).json({ error: 'Failed to update stock item' });
+};
+
+// Move an item's lots from one branch to another, first expiry first. The
+// receiving branch gets lots with the same numbers and dates. Returns the
+// lots taken and the lots they became.
+const transferLots = async (kind, item, fromBranchId, toBranchId, quantity, transferId) => {
+    const taken = await takeFromLots(kind, item._id, fromBranchId, quantity);
+    const sources = await StockLot.find({ _id: { $in: taken.map(t => t.lotId) } });
+
+    const received = [];
+    for (const t of taken) {
+        const source = sources.find(s => s._id.equals(t.lotId));
+        received.push(await createLot(kind, item, toBranchId, t.quantity, {
+            lotNumber: source.lotNumber,
+            manufactureDate: source.manufactureDate,
+            receivedDate: source.receivedDate,
+            expiryDate: source.expiryDate,
+            transferId
+        }));
     }
-});
+    return { taken, received };
+};
 
-app.post('/stock/delete/:id', requireAuth, (req, res) => {
-    const stock = readData(STOCK_FILE);
-    const filteredStock = stock.filter(s => s.id !== req.params.id);
-    
-    if (writeData(STOCK_FILE, filteredStock)) {
-        res.redirect('/stock');
-    } else {
-        res.status(500).json({ error: 'Failed to delete stock item' });
+// Change a branch's stock of a raw material and record the movement. Raw
+// material quantities only ever change through here or logStockMovement, so
+// the ledger always adds up to what is on hand. Stock coming in with a
+// `unitCost` (purchases) updates the average cost; everything else moves at it.
+//
+// Stock going out leaves the lots that expire first, or `fromLotId` first.
+// Stock coming in starts the lot described by `lot`, or goes back into
+// `lots` when it is being returned. The lots used are recorded on the
+// movement and set on `movement.lots` for the caller.
+const moveStock = async (stockItemId, branchId, change, movement) => {
+    const { lot, fromLotId, ...entry } = movement;
+    const stockItem = await adjustBranchStock(StockItem, stockItemId, branchId, change);
+    if (stockItem) {
+        if (change > 0 && entry.unitCost >= 0) {
+            await updateAverageCost(stockItem, change, entry.unitCost);
+        }
+        if (change < 0) {
+            entry.lots = await takeFromLots('material', stockItem._id, branchId, -change, fromLotId);
+        } else if (entry.lots) {
+            await returnToLots(entry.lots);
+        } else if (lot) {
+            entry.lots = [await createLot('material', stockItem, branchId, change, lot)];
+        }
+        movement.lots = entry.lots;
+        await logStockMovement(stockItem, branchId, change, entry);
     }
-});
+    return stockItem;
+};
 
-// Product Management Routes
-app.get('/products', requireAuth, (req, res) => {
-    const products = readData(PRODUCTS_FILE);
-    
-    // Calculate product statistics
-    const prices = products.map(p => p.price);
-    const averagePrice = prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : 0;
-    const minPrice = prices.length > 0 ? Math.min(...prices) : 0;
-    const maxPrice = prices.length > 0 ? Math.max(...prices) : 0;
-    
-    res.render('products/list', { 
-        products, 
-        averagePrice,
-        minPrice,
-        maxPrice,
-        title: 'Product Management' 
-    });
-});
+// Cost of one unit of a product from its recipe at the materials' average
+// cost. Null for products without a recipe, so they don't show a zero cost.
+const getProductCost = (product, stockItems) => {
+    if (!Array.isArray(product.recipe) || product.recipe.length === 0) return null;
+    return roundMoney(product.recipe.reduce((sum, line) => {
+        const stockItem = stockItems.find(s => String(s._id) === line.stockItemId);
+        return sum + line.quantity * ((stockItem && stockItem.averageCost) || 0);
+    }, 0));
+};
 
-app.get('/products/add', requireAuth, (req, res) => {
-    res.render('products/add', { title: 'Add Product' });
+// Gross margin on `revenue` (before GST) that cost `cost`
+const getMargin = (revenue, cost) => ({
+    margin: roundMoney(revenue - cost),
+    marginPercent: revenue > 0 ? Math.round((revenue - cost) / revenue * 1000) / 10 : 0
 });
 
-app.post('/products/add', requireAuth, (req, res) => {
-    const { name, price, unit, description } = req.body;
-    
-    const product = {
-        id: uuidv4(),
-        name,
-        price: parseFloat(price),
-        unit,
-        description,
-        createdAt: new Date().toISOString()
-    };
-    
-    const products = readData(PRODUCTS_FILE);
-    products.push(product);
-    
-    if (writeData(PRODUCTS_FILE, products)) {
-        res.redirect('/products');
-    } else {
-        res.status(500).json({ error: 'Failed to save product' });
-    }
-});
+// Deduct raw materials from the branch's stock and log every deduction.
+// `entries` is [{ stockItemId, quantity, productId, productName, productQuantity }].
+const consumeStock = async (entries, context) => {
+    const consumption = [];
 
-app.get('/products/edit/:id', requireAuth, (req, res) => {
-    const products = readData(PRODUCTS_FILE);
-    const product = products.find(p => p.id === req.params.id);
-    
-    if (!product) {
-        return res.status(404).send('Product not found');
+    for (const entry of entries) {
+        if (!(entry.quantity > 0)) continue;
+
+        const used = Math.round(entry.quantity * 1000) / 1000;
+        const movement = {
+            type: context.source,
+            reason: `${entry.productQuantity} × ${entry.productName}`,
+            saleId: context.saleId,
+            batchId: context.batchId,
+            userId: context.userId,
+            date: context.date || new Date()
+        };
+        const stockItem = await moveStock(entry.stockItemId, context.branchId, -used, movement);
+        if (!stockItem) continue;
+
+        consumption.push({
+            stockItemId: stockItem.id,
+            stockItemName: stockItem.name,
+            quantity: used,
+            unit: stockItem.unit,
+            branchId: context.branchId,
+            source: context.source,
+            saleId: context.saleId,
+            batchId: context.batchId,
+            productId: entry.productId,
+            productName: entry.productName,
+            productQuantity: entry.productQuantity,
+            lots: movement.lots,
+            userId: context.userId,
+            date: context.date || new Date()
+        });
     }
-    
-    res.render('products/edit', { product, title: 'Edit Product' });
-});
 
-app.post('/products/edit/:id', requireAuth, (req, res) => {
-    const { name, price, unit, description } = req.body;
-    
-    const products = readData(PRODUCTS_FILE);
-    const productIndex = products.findIndex(p => p.id === req.params.id);
-    
-    if (productIndex === -1) {
-        return res.status(404).json({ error: 'Product not found' });
+    if (consumption.length === 0) return [];
+    return StockConsumption.insertMany(consumption);
+};
+
+// Raw materials needed for the given product quantities according to each product's recipe.
+// `lines` is [{ productId, quantity }].
+const getRecipeMaterials = (lines, products) => {
+    const entries = [];
+    for (const line of lines) {
+        const product = products.find(p => p.id === line.productId);
+        if (!product || !Array.isArray(product.recipe)) continue;
+
+        for (const ingredient of product.recipe) {
+            entries.push({
+                stockItemId: ingredient.stockItemId,
+                quantity: ingredient.quantity * line.quantity,
+                productId: product.id,
+                productName: product.name,
+                productQuantity: line.quantity
+            });
+        }
     }
-    
-    products[productIndex] = {
-        ...products[productIndex],
-        name,
-        price: parseFloat(price),
-        unit,
-        description,
-        updatedAt: new Date().toISOString()
+    return entries;
+};
+
+// Take sold quantities out of the branch's finished goods. Anything sold beyond
+// what the branch holds is treated as made to order and its raw materials are
+// deducted from the branch instead.
+const deductFinishedGoods = async (items, context) => {
+    const madeToOrder = [];
+    const products = [];
+    const stockItems = await StockItem.find().select('averageCost');
+
+    for (const item of items) {
+        const product = await Product.findById(item.productId);
+        if (!product) continue;
+        products.push(product);
+
+        // Cost is fixed at the time of sale so later purchases don't change past margins
+        const unitCost = getProductCost(product, stockItems);
+        item.unitCost = unitCost === null ? undefined : unitCost;
+
+        const quantity = getBaseQuantity(item);
+        const fromStock = await takeBranchStock(Product, item.productId, context.branchId, quantity);
+        item.fromStock = fromStock;
+        item.lots = fromStock > 0 ? await takeFromLots('product', item.productId, context.branchId, fromStock) : [];
+        const shortfall = Math.round((quantity - fromStock) * 1000) / 1000;
+        if (shortfall > 0) {
+            madeToOrder.push({ productId: item.productId, quantity: shortfall });
+        }
+    }
+
+    return consumeStock(getRecipeMaterials(madeToOrder, products), context);
+};
+
+// Undo what deductFinishedGoods did for a sale: put finished goods back on the
+// shelf and return the raw materials used for made-to-order quantities.
+// `reason` is noted against the returned materials in the stock ledger.
+const restoreSaleStock = async (sale, userId, reason) => {
+    const branchId = sale.branchId || (await Branch.getMain())._id;
+
+    for (const item of sale.items) {
+        if (item.fromStock > 0) {
+            await adjustBranchStock(Product, item.productId, branchId, item.fromStock);
+            await returnToLots(item.lots);
+        }
+        item.fromStock = 0;
+        item.lots = [];
+    }
+
+    const consumption = await StockConsumption.find({ saleId: sale._id, source: 'sale' });
+    for (const entry of consumption) {
+        await moveStock(entry.stockItemId, entry.branchId || branchId, entry.quantity, {
+            type: 'sale-return',
+            lots: entry.lots,
+            reason,
+            saleId: sale._id,
+            userId,
+            date: new Date()
+        });
+    }
+    await StockConsumption.deleteMany({ saleId: sale._id, source: 'sale' });
+};
+
+// Fields the audit log leaves out: ids and timestamps Mongoose and the routes keep
+// themselves, and the salary's own change history
+const AUDIT_SKIPPED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'lastUpdated', 'history'];
+// Fields recorded as changed without their values
+const AUDIT_HIDDEN_FIELDS = ['password'];
+
+// Flatten a record into { 'items.0.quantity': 2, ... } so two versions can be
+// compared field by field. Empty values are left out.
+const flattenForAudit = (value, prefix = '', fields = {}) => {
+    if (value instanceof mongoose.Types.ObjectId) {
+        fields[prefix] = String(value);
+    } else if (value instanceof Date) {
+        fields[prefix] = value.toISOString();
+    } else if (Array.isArray(value)) {
+        value.forEach((item, index) => flattenForAudit(item, prefix ? `${prefix}.${index}` : String(index), fields));
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            if (AUDIT_SKIPPED_FIELDS.includes(key)) return;
+            flattenForAudit(value[key], prefix ? `${prefix}.${key}` : key, fields);
+        });
+    } else if (value !== undefined && value !== null && value !== '') {
+        fields[prefix] = value;
+    }
+    return fields;
+};
+
+// Fields that differ between two versions of a record, as [{ field, from, to }]
+const diffForAudit = (before, after) => {
+    const old = before ? flattenForAudit(before) : {};
+    const current = after ? flattenForAudit(after) : {};
+    const mask = (field, value) => (value !== undefined && AUDIT_HIDDEN_FIELDS.includes(field) ? '******' : value);
+
+    return [...new Set([...Object.keys(old), ...Object.keys(current)])]
+        .filter(field => JSON.stringify(old[field]) !== JSON.stringify(current[field]))
+        .map(field => ({ field, from: mask(field, old[field]), to: mask(field, current[field]) }));
+};
+
+// Record a change made by the signed-in user. `before` and `after` are the
+// record before and after the change, as documents or plain objects; a create
+// has no `before` and a delete no `after`. Take `before` with toObject() ahead
+// of changing a document. An update that changed nothing isn't recorded, and a
+// failed audit write is logged without undoing the change.
+const recordAudit = async (req, entity, action, { before, after, label } = {}) => {
+    try {
+        const plainBefore = before && before.toObject ? before.toObject() : before;
+        const plainAfter = after && after.toObject ? after.toObject() : after;
+        const changes = diffForAudit(plainBefore, plainAfter);
+        if (action === 'update' && changes.length === 0) return;
+
+        const record = plainAfter || plainBefore || {};
+        await AuditLog.create({
+            userId: req.session.userId,
+            username: req.session.user ? req.session.user.username : undefined,
+            entity,
+            entityId: record._id ? String(record._id) : undefined,
+            label: label || record.name || record.username || record.invoiceNumber ||
+                record.transferNumber || record.batchNumber || record.orderNumber || record.receiptNumber || record.lotNumber,
+            action,
+            changes,
+            route: `${req.method} ${req.originalUrl}`
+        });
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+};
+
+// Find the customer a sale belongs to, creating one the first time a phone number
+// (or, without a phone, a name) is seen so repeat customers share a single record.
+const findOrCreateCustomer = async (userId, { customerId, name, phone, email, address, gstin, stateCode }) => {
+    const cleanPhone = (phone || '').trim();
+    const cleanName = (name || '').trim();
+    let customer = null;
+
+    if (customerId && mongoose.isValidObjectId(customerId)) {
+        customer = await Customer.findById(customerId);
+    }
+    if (!customer && cleanPhone) {
+        customer = await Customer.findOne({ phone: cleanPhone });
+    }
+    if (!customer && !cleanPhone && cleanName) {
+        const namePattern = new RegExp(`^${cleanName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+        customer = await Customer.findOne({ phone: { $in: [null, ''] }, name: namePattern });
+    }
+
+    if (!customer) {
+        customer = new Customer({
+            userId,
+            name: cleanName,
+            phone: cleanPhone || undefined,
+            email,
+            address,
+            gstin: gstin || undefined,
+            stateCode: stateCode || undefined
+        });
+        return customer.save();
+    }
+
+    // Fill in details the customer record doesn't have yet
+    let changed = false;
+    if (!customer.address && address) { customer.address = address; changed = true; }
+    if (!customer.email && email) { customer.email = email; changed = true; }
+    if (!customer.gstin && gstin) { customer.gstin = gstin; changed = true; }
+    if (!customer.stateCode && stateCode) { customer.stateCode = stateCode; changed = true; }
+    return changed ? customer.save() : customer;
+};
+
+// Place of supply for a sale: as chosen on the form, else from the customer's GSTIN
+// or saved state, else the factory's own state. A different state means IGST.
+const getPlaceOfSupply = (profile, requested, gstin, customer) => {
+    const placeOfSupply = requested || getStateFromGstin(gstin) ||
+        (customer && customer.stateCode) || profile.stateCode || '';
+    return {
+        placeOfSupply,
+        interState: Boolean(profile.stateCode && placeOfSupply && placeOfSupply !== profile.stateCode)
     };
-    
-    if (writeData(PRODUCTS_FILE, products)) {
-        res.redirect('/products');
+};
+
+// Payment status and amount received for a sale, from the submitted form
+const getSalePayment = (paymentStatus, amountPaid, totalAmount) => {
+    if (paymentStatus === 'pending') {
+        return { paymentStatus: 'pending', amountPaid: 0 };
+    }
+    if (paymentStatus === 'partial') {
+        const paid = Math.min(Math.max(0, parseFloat(amountPaid) || 0), totalAmount);
+        return { paymentStatus: paid >= totalAmount ? 'paid' : (paid > 0 ? 'partial' : 'pending'), amountPaid: paid };
+    }
+    return { paymentStatus: 'paid', amountPaid: totalAmount };
+};
+
+// Older sales only have a status; treat 'paid' as paid in full and anything else as unpaid
+const getAmountPaid = (sale) => {
+    if (typeof sale.amountPaid === 'number') return sale.amountPaid;
+    return sale.paymentStatus === 'paid' ? sale.totalAmount : 0;
+};
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'cheque', 'bank'];
+// How a sale itself can be paid; bank transfers are only taken as later payments
+const SALE_PAYMENT_METHODS = Sale.schema.path('paymentMethod').enumValues;
+
+// UPI and cheque payments need their transaction id or cheque number to trace them later
+const getPaymentReferenceError = (method, reference) => {
+    if ((reference || '').trim()) return null;
+    if (method === 'upi') return 'Enter the UPI transaction id.';
+    if (method === 'cheque') return 'Enter the cheque number.';
+    return null;
+};
+
+// Bring a sale's amount paid, amount due and status in line with its payments (caller saves)
+const refreshSalePayments = async (sale) => {
+    const payments = await Payment.find({ saleId: sale._id });
+    const paid = Math.round(payments.reduce((sum, p) => sum + p.amount, 0) * 100) / 100;
+
+    sale.amountPaid = paid;
+    sale.amountDue = Math.max(0, Math.round((sale.totalAmount - paid) * 100) / 100);
+    sale.paymentStatus = paid <= 0 ? 'pending' : (paid >= sale.totalAmount ? 'paid' : 'partial');
+    return sale;
+};
+
+// Sales recorded before payments were tracked get a single payment for what they
+// show as received, so refreshing them from Payment records doesn't lose it
+const ensureOpeningPayment = async (sale) => {
+    if (await Payment.exists({ saleId: sale._id })) return;
+
+    const paid = getAmountPaid(sale);
+    if (paid > 0) {
+        await Payment.create({
+            userId: sale.userId,
+            saleId: sale._id,
+            customerId: sale.customerId,
+            amount: paid,
+            method: sale.paymentMethod,
+            date: sale.date,
+            notes: 'Received at time of sale'
+        });
+    }
+};
+
+// Invoices and payments for one customer, oldest first, with a running balance
+const buildCustomerLedger = async (customer) => {
+    const [simpleSales, multiSales] = await Promise.all([
+        SimpleSale.find({ customerId: customer._id }),
+        Sale.find({ customerId: customer._id, status: { $ne: 'void' } })
+    ]);
+
+    const payments = await Payment.find({ saleId: { $in: multiSales.map(s => s._id) } });
+
+    const entries = [];
+    simpleSales.forEach(s => {
+        entries.push({ date: s.date, saleId: s._id, description: `Invoice #${s.invoiceNumber || '-'}`, debit: s.amount, credit: 0 });
+        entries.push({ date: s.date, saleId: s._id, description: `Payment (${s.paymentMethod})`, debit: 0, credit: s.amount });
+    });
+    multiSales.forEach(s => {
+        entries.push({ date: s.date, saleId: s._id, description: `Invoice #${s.invoiceNumber || '-'}`, debit: s.totalAmount, credit: 0 });
+
+        const salePayments = payments.filter(p => p.saleId.equals(s._id));
+        salePayments.forEach(p => {
+            entries.push({
+                date: p.date,
+                saleId: s._id,
+                description: `Payment for #${s.invoiceNumber || '-'} (${p.method}${p.reference ? ` ${p.reference}` : ''})`,
+                debit: 0,
+                credit: p.amount
+            });
+        });
+
+        // Sales from before payments were recorded individually
+        const paid = getAmountPaid(s);
+        if (salePayments.length === 0 && paid > 0) {
+            entries.push({ date: s.date, saleId: s._id, description: `Payment (${s.paymentMethod})`, debit: 0, credit: paid });
+        }
+    });
+
+    // Same-day invoices come before their payments
+    entries.sort((a, b) => (new Date(a.date) - new Date(b.date)) || (b.debit - a.debit));
+
+    let balance = 0;
+    entries.forEach(entry => {
+        balance = Math.round((balance + entry.debit - entry.credit) * 100) / 100;
+        entry.balance = balance;
+    });
+
+    return {
+        entries,
+        totalInvoiced: entries.reduce((sum, e) => sum + e.debit, 0),
+        totalPaid: entries.reduce((sum, e) => sum + e.credit, 0),
+        outstanding: balance
+    };
+};
+
+// GST state codes, used for place of supply and to choose CGST+SGST or IGST
+const GST_STATES = [
+    { code: '01', name: 'Jammu and Kashmir' }, { code: '02', name: 'Himachal Pradesh' },
+    { code: '03', name: 'Punjab' }, { code: '04', name: 'Chandigarh' },
+    { code: '05', name: 'Uttarakhand' }, { code: '06', name: 'Haryana' },
+    { code: '07', name: 'Delhi' }, { code: '08', name: 'Rajasthan' },
+    { code: '09', name: 'Uttar Pradesh' }, { code: '10', name: 'Bihar' },
+    { code: '11', name: 'Sikkim' }, { code: '12', name: 'Arunachal Pradesh' },
+    { code: '13', name: 'Nagaland' }, { code: '14', name: 'Manipur' },
+    { code: '15', name: 'Mizoram' }, { code: '16', name: 'Tripura' },
+    { code: '17', name: 'Meghalaya' }, { code: '18', name: 'Assam' },
+    { code: '19', name: 'West Bengal' }, { code: '20', name: 'Jharkhand' },
+    { code: '21', name: 'Odisha' }, { code: '22', name: 'Chhattisgarh' },
+    { code: '23', name: 'Madhya Pradesh' }, { code: '24', name: 'Gujarat' },
+    { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' }, { code: '27', name: 'Maharashtra' },
+    { code: '29', name: 'Karnataka' }, { code: '30', name: 'Goa' },
+    { code: '31', name: 'Lakshadweep' }, { code: '32', name: 'Kerala' },
+    { code: '33', name: 'Tamil Nadu' }, { code: '34', name: 'Puducherry' },
+    { code: '35', name: 'Andaman and Nicobar Islands' }, { code: '36', name: 'Telangana' },
+    { code: '37', name: 'Andhra Pradesh' }, { code: '38', name: 'Ladakh' }
+];
+
+const getStateName = (code) => {
+    const state = GST_STATES.find(s => s.code === code);
+    return state ? state.name : '';
+};
+
+// The first two digits of a GSTIN are the state code
+const getStateFromGstin = (gstin) => {
+    const code = (gstin || '').trim().substring(0, 2);
+    return GST_STATES.some(s => s.code === code) ? code : '';
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Work out GST per line. The invoice discount is spread over the lines in proportion
+// to their value, and each line is taxed on what remains at its product's rate.
+const applyGst = (items, discount, interState) => {
+    const subtotal = items.reduce((sum, item) => sum + item.totalAmount, 0);
+    const totals = { taxableAmount: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+
+    items.forEach(item => {
+        const lineDiscount = subtotal ? roundMoney(discount * item.totalAmount / subtotal) : 0;
+        const rate = item.gstRate || 0;
+
+        item.taxableValue = Math.max(0, roundMoney(item.totalAmount - lineDiscount));
+        if (interState) {
+            item.cgst = 0;
+            item.sgst = 0;
+            item.igst = roundMoney(item.taxableValue * rate / 100);
+        } else {
+            item.cgst = roundMoney(item.taxableValue * rate / 200);
+            item.sgst = item.cgst;
+            item.igst = 0;
+        }
+
+        totals.taxableAmount += item.taxableValue;
+        totals.cgst += item.cgst;
+        totals.sgst += item.sgst;
+        totals.igst += item.igst;
+    });
+
+    Object.keys(totals).forEach(key => { totals[key] = roundMoney(totals[key]); });
+    totals.tax = roundMoney(totals.cgst + totals.sgst + totals.igst);
+    return totals;
+};
+
+// Next number in the invoice series shared by all sales. The series restarts
+// every financial year on 1 April.
+const nextInvoiceNumber = async (date) => {
+    const profile = await FactoryProfile.getProfile();
+    const financialYear = Counter.financialYear(date);
+    const seq = await Counter.next(`invoice:${financialYear}`);
+    return profile.formatInvoiceNumber(financialYear, seq);
+};
+
+// Rupees in words using the Indian numbering system (lakh, crore)
+const amountInWords = (amount) => {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+        'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+    const belowHundred = (n) => (n < 20 ? ones[n] : `${tens[Math.floor(n / 10)]} ${ones[n % 10]}`.trim());
+    const belowThousand = (n) => {
+        const hundreds = Math.floor(n / 100);
+        const rest = n % 100;
+        return [hundreds ? `${ones[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+    };
+    const toWords = (n) => {
+        if (n === 0) return 'Zero';
+        const parts = [];
+        const crore = Math.floor(n / 10000000);
+        const lakh = Math.floor((n % 10000000) / 100000);
+        const thousand = Math.floor((n % 100000) / 1000);
+        const rest = n % 1000;
+        if (crore) parts.push(`${toWords(crore)} Crore`);
+        if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+        if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+        if (rest) parts.push(belowThousand(rest));
+        return parts.join(' ');
+    };
+
+    const rupees = Math.floor(Math.abs(amount));
+    const paise = Math.round((Math.abs(amount) - rupees) * 100);
+    return `Rupees ${toWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+};
+
+// Normalize the submitted product rows of a multi-product sale into sale items.
+// Each row is sold in the product's own unit or one of its selling units. When
+// editing, a line still in the unit it was saved in keeps that unit's size, even
+// if the selling unit has since been changed or removed. Returns { items } or
+// { error }.
+const parseSaleItems = (rows, productCatalog, savedItems = []) => {
+    let normalized = [];
+    if (Array.isArray(rows)) {
+        normalized = rows;
+    } else if (rows && typeof rows === 'object') {
+        normalized = Object.values(rows);
+    }
+
+    const items = [];
+    for (const p of normalized) {
+        const productIdVal = p.productId || p["productId"];
+        const quantityVal = parseFloat(p.quantity || p["quantity"] || 0);
+        const priceVal = parseFloat(p.price || p["price"] || 0);
+        if (!productIdVal || !quantityVal || !priceVal) continue;
+        const match = productCatalog.find(pc => pc.id === productIdVal);
+        const productName = match ? match.name : (p.productName || p["productName"] || 'Product');
+        const saved = savedItems.find(i => i.productId === productIdVal && i.unit && i.unit === p.unit);
+        let saleUnit = saved ? { name: saved.unit, quantity: saved.unitQuantity || 1 } : null;
+        if (!saleUnit && match && match.saleUnits) {
+            saleUnit = p.unit ? match.saleUnits.find(u => u.name === p.unit) : match.saleUnits[0];
+            if (!saleUnit) {
+                return { error: `${productName} isn't sold in ${p.unit}. Pick another unit.` };
+            }
+        }
+        const totalAmount = quantityVal * priceVal;
+        items.push({
+            productId: productIdVal,
+            productName,
+            quantity: quantityVal,
+            unit: saleUnit ? saleUnit.name : (match && match.unit),
+            unitQuantity: saleUnit ? saleUnit.quantity : 1,
+            price: priceVal,
+            totalAmount,
+            hsnCode: match ? match.hsnCode : undefined,
+            gstRate: match && typeof match.gstRate === 'number' ? match.gstRate : 0
+        });
+    }
+    return { items };
+};
+
+// Sale lines that need more than the finished goods on hand
+const getFinishedGoodsShortfalls = (items, products) => {
+    const requested = {};
+    items.forEach(item => {
+        requested[item.productId] = Math.round(((requested[item.productId] || 0) + getBaseQuantity(item)) * 1000) / 1000;
+    });
+
+    return Object.entries(requested)
+        .map(([productId, quantity]) => {
+            const product = products.find(p => p.id === productId);
+            const available = product ? Math.max(0, product.finishedStock || 0) : 0;
+            return { productId, productName: product ? product.name : productId, quantity, unit: product ? product.unit : '', available };
+        })
+        .filter(s => s.quantity > s.available);
+};
+
+// Attendance dates are stored at local midnight so the (employeeId, date) index stays unique per day
+const toDayStart = (value) => moment(value).startOf('day').toDate();
+
+// A YYYY-MM-DD date from a form or query string as the start of that day, or
+// null when it isn't a real date
+const parseDay = (value) => {
+    const day = moment(value, 'YYYY-MM-DD', true);
+    return day.isValid() ? day.startOf('day').toDate() : null;
+};
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'half-day'];
+
+// Upsert (or clear, when no status is given) one employee's attendance for a day
+const saveAttendance = async (req, employeeId, day, entry) => {
+    const status = entry && entry.status;
+    const before = await Attendance.findOne({ employeeId, date: day });
+    const label = moment(day).format('YYYY-MM-DD');
+
+    if (!status) {
+        if (before) {
+            await before.deleteOne();
+            await recordAudit(req, 'Attendance', 'delete', { before, label });
+        }
+        return null;
+    }
+
+    if (!ATTENDANCE_STATUSES.includes(status)) {
+        throw new Error(`Invalid attendance status: ${status}`);
+    }
+
+    const update = {
+        status,
+        remarks: entry.remarks || ''
+    };
+    if (status === 'absent') {
+        update.checkIn = '';
+        update.checkOut = '';
+    } else {
+        update.checkIn = entry.checkIn || '09:00';
+        update.checkOut = entry.checkOut || '18:00';
+    }
+
+    const attendance = await Attendance.findOneAndUpdate(
+        { employeeId, date: day },
+        { $set: update },
+        { upsert: true, new: true, runValidators: true }
+    );
+    await recordAudit(req, 'Attendance', before ? 'update' : 'create', { before, after: attendance, label });
+    return attendance;
+};
+
+// Work out which advance installments fall due in a salary month. Oldest advances
+// are recovered first and the total never exceeds what the employee earned.
+const planAdvanceRecovery = async (employeeId, month, year, maxDeduction) => {
+    const period = year * 12 + month;
+    const advances = await Advance.find({ employeeId, isDeducted: false }).sort({ date: 1 });
+
+    let available = Math.max(0, maxDeduction);
+    let total = 0;
+    const deductions = [];
+
+    for (const advance of advances) {
+        const start = advance.getRecoveryStart();
+        const alreadyRecovered = advance.recoveries.some(r => r.month === month && r.year === year);
+        if (start.year * 12 + start.month > period || alreadyRecovered) continue;
+
+        const amount = Math.min(advance.getInstallment(), available);
+        if (amount <= 0) continue;
+
+        deductions.push({ advance, amount });
+        available -= amount;
+        total += amount;
+    }
+
+    total = Math.round(total * 100) / 100;
+    const outstanding = advances.reduce((sum, a) => sum + a.outstandingAmount, 0);
+    const balance = Math.round((outstanding - total) * 100) / 100;
+
+    return { deductions, total, balance };
+};
+
+// Record the planned installments against each advance
+const applyAdvanceRecovery = async (recovery, salary) => {
+    for (const { advance, amount } of recovery.deductions) {
+        advance.recoveries.push({
+            salaryId: salary._id,
+            month: salary.month,
+            year: salary.year,
+            amount
+        });
+        advance.recoveredAmount = Math.round(((advance.recoveredAmount || 0) + amount) * 100) / 100;
+        if (advance.outstandingAmount <= 0) {
+            advance.isDeducted = true;
+            advance.deductedDate = Date.now();
+        }
+        await advance.save();
+    }
+};
+
+// Total outstanding advance balance for an employee
+const getAdvanceBalance = async (employeeId) => {
+    const advances = await Advance.find({ employeeId, isDeducted: false });
+    return Math.round(advances.reduce((sum, a) => sum + a.outstandingAmount, 0) * 100) / 100;
+};
+
+const SALARY_PAYMENT_MODES = ['cash', 'bank', 'upi', 'cheque'];
+const SALARY_ADJUSTMENT_TYPES = ['bonus', 'overtime', 'allowance', 'fine'];
+
+// Check the payout form: non-cash payments need a reference to trace them later
+const getSalaryPayout = (body) => {
+    const paymentMode = SALARY_PAYMENT_MODES.includes(body.paymentMode) ? body.paymentMode : 'cash';
+    const paymentReference = (body.paymentReference || '').trim();
+    if (paymentMode !== 'cash' && !paymentReference) {
+        return { error: `Enter the ${paymentMode} reference for this payment.` };
+    }
+    return {
+        paymentMode,
+        paymentReference: paymentReference || undefined,
+        paidDate: body.paidDate ? new Date(body.paidDate) : new Date()
+    };
+};
+
+// Hours between check-in and check-out ('HH:mm'), allowing for shifts past midnight
+const getShiftHours = (checkIn, checkOut) => {
+    const start = moment(checkIn, 'HH:mm', true);
+    const end = moment(checkOut, 'HH:mm', true);
+    if (!start.isValid() || !end.isValid()) return 0;
+
+    let minutes = end.diff(start, 'minutes');
+    if (minutes < 0) minutes += 24 * 60;
+    return minutes / 60;
+};
+
+// Pay for an employee's month on their pay basis, with overtime, less that
+// month's advance installments. Weekly offs and holidays are not working days;
+// any hours worked on them are overtime. Adjustments already on the salary
+// count towards what it pays.
+const computeSalary = async (employee, month, year, adjustmentTotal = 0) => {
+    const startDate = moment({ year, month: month - 1 }).startOf('month');
+    const endDate = moment({ year, month: month - 1 }).endOf('month');
+    const range = { $gte: startDate.toDate(), $lte: endDate.toDate() };
+
+    const [attendanceRecords, holidayRecords, settings] = await Promise.all([
+        Attendance.find({ employeeId: employee._id, date: range }),
+        Holiday.find({ date: range }),
+        PayrollSettings.getSettings()
+    ]);
+
+    // A holiday that falls on a weekly off counts once, as the weekly off
+    const daysInMonth = startDate.daysInMonth();
+    const holidayDates = new Set(holidayRecords.map(h => moment(h.date).format('YYYY-MM-DD')));
+    const closedDates = new Set();
+    let weeklyOffDays = 0;
+    let holidays = 0;
+    for (let day = startDate.clone(); day.isSameOrBefore(endDate, 'day'); day.add(1, 'day')) {
+        const key = day.format('YYYY-MM-DD');
+        if (settings.weeklyOffs.includes(day.day())) {
+            weeklyOffDays++;
+            closedDates.add(key);
+        } else if (holidayDates.has(key)) {
+            holidays++;
+            closedDates.add(key);
+        }
+    }
+    const totalWorkingDays = daysInMonth - weeklyOffDays - holidays;
+
+    let presentDays = 0;
+    let absentDays = 0;
+    let halfDays = 0;
+    let overtimeHours = 0;
+    attendanceRecords.forEach(record => {
+        const hours = record.status === 'absent' ? 0 : getShiftHours(record.checkIn, record.checkOut);
+        if (closedDates.has(moment(record.date).format('YYYY-MM-DD'))) {
+            overtimeHours += hours;
+        } else if (record.status === 'present') {
+            presentDays++;
+            overtimeHours += Math.max(0, hours - settings.shiftHours);
+        } else if (record.status === 'half-day') {
+            halfDays++;
+        } else {
+            absentDays++;
+        }
+    });
+
+    const workedDays = presentDays + (halfDays * 0.5);
+    const payBasis = employee.payBasis || 'monthly';
+    let paidDays = workedDays;
+    let quantityProduced = 0;
+    let productionUnit;
+    let basePay;
+    let hourlyRate = 0;
+
+    if (payBasis === 'daily') {
+        basePay = workedDays * (employee.dailyWage || 0);
+        hourlyRate = (employee.dailyWage || 0) / settings.shiftHours;
+    } else if (payBasis === 'piece-rate') {
+        const batches = await ProductionBatch.find({ operatorId: employee._id, date: range });
+        quantityProduced = Math.round(batches.reduce((sum, b) => sum + b.goodQuantity, 0) * 1000) / 1000;
+        const units = [...new Set(batches.map(b => b.unit).filter(Boolean))];
+        productionUnit = units.length === 1 ? units[0] : 'units';
+        basePay = quantityProduced * (employee.pieceRate || 0);
+    } else {
+        // Weekly offs and holidays are paid to monthly staff who worked in the month
+        paidDays = workedDays > 0 ? workedDays + weeklyOffDays + holidays : 0;
+        const dayRate = employee.basicSalary / daysInMonth;
+        basePay = paidDays * dayRate;
+        hourlyRate = dayRate / settings.shiftHours;
+    }
+
+    // Piece-rate staff only get overtime when they have their own overtime rate
+    const overtimeRate = employee.overtimeRate || hourlyRate * settings.overtimeMultiplier;
+    overtimeHours = roundMoney(overtimeHours);
+    const overtimePay = roundMoney(overtimeHours * overtimeRate);
+    basePay = roundMoney(basePay);
+    const calculatedSalary = roundMoney(basePay + overtimePay);
+
+    // Deduct only this month's scheduled advance installments
+    const recovery = await planAdvanceRecovery(employee._id, month, year, calculatedSalary + adjustmentTotal);
+
+    const baseLine = {
+        monthly: { code: 'basic', label: `Pay for ${paidDays} of ${daysInMonth} days` },
+        daily: { code: 'wages', label: `Wages for ${workedDays} days at ${employee.dailyWage || 0}` },
+        'piece-rate': { code: 'piece-rate', label: `${quantityProduced} ${productionUnit} at ${employee.pieceRate || 0} each` }
+    }[payBasis];
+    const lines = [
+        { kind: 'earning', ...baseLine, amount: basePay },
+        ...(overtimePay > 0 ? [{ kind: 'earning', code: 'overtime', label: `Overtime ${overtimeHours} hours`, amount: overtimePay }] : []),
+        ...recovery.deductions.map(({ advance, amount }) => ({
+            kind: 'deduction',
+            code: 'advance',
+            label: `Advance of ${moment(advance.date).format('DD-MM-YYYY')}${advance.reason ? ` (${advance.reason})` : ''}`,
+            amount,
+            advanceId: advance._id
+        }))
+    ];
+
+    return {
+        recovery,
+        fields: {
+            payBasis,
+            basicSalary: employee.basicSalary,
+            presentDays,
+            absentDays,
+            halfDays,
+            totalWorkingDays,
+            weeklyOffDays,
+            holidays,
+            paidDays,
+            quantityProduced,
+            productionUnit,
+            overtimeHours,
+            overtimePay,
+            calculatedSalary,
+            advanceDeductions: recovery.total,
+            advanceBalance: recovery.balance,
+            lines
+        }
+    };
+};
+
+// Give back the advance installments taken by a salary so it can be recalculated
+const reverseAdvanceRecovery = async (salary) => {
+    const advances = await Advance.find({ 'recoveries.salaryId': salary._id });
+    for (const advance of advances) {
+        const taken = advance.recoveries.filter(r => r.salaryId.equals(salary._id));
+        advance.recoveries = advance.recoveries.filter(r => !r.salaryId.equals(salary._id));
+        advance.recoveredAmount = Math.max(0, roundMoney(advance.recoveredAmount - taken.reduce((sum, r) => sum + r.amount, 0)));
+        if (advance.outstandingAmount > 0) {
+            advance.isDeducted = false;
+            advance.deductedDate = undefined;
+        }
+        await advance.save();
+    }
+};
+
+const SALARY_FIELD_LABELS = {
+    basicSalary: 'Basic salary',
+    presentDays: 'Present days',
+    absentDays: 'Absent days',
+    halfDays: 'Half days',
+    paidDays: 'Paid days',
+    quantityProduced: 'Quantity produced',
+    overtimeHours: 'Overtime hours',
+    overtimePay: 'Overtime pay',
+    calculatedSalary: 'Calculated salary',
+    adjustmentTotal: 'Adjustments',
+    advanceDeductions: 'Advance deductions',
+    netSalary: 'Net salary'
+};
+
+// Fields that differ between two versions of a salary, for its history
+const diffSalary = (before, after) => Object.keys(SALARY_FIELD_LABELS)
+    .filter(field => roundMoney(before[field] || 0) !== roundMoney(after[field] || 0))
+    .map(field => ({ field, from: roundMoney(before[field] || 0), to: roundMoney(after[field] || 0) }));
+
+const isPayrollLocked = async (month, year) => Boolean(await PayrollLock.exists({ month, year }));
+
+// A month is locked once every salary calculated for it has been paid
+const lockPayrollIfPaid = async (month, year, userId) => {
+    const [total, pending] = await Promise.all([
+        Salary.countDocuments({ month, year }),
+        Salary.countDocuments({ month, year, status: 'pending' })
+    ]);
+    if (total === 0 || pending > 0) return false;
+
+    await PayrollLock.updateOne(
+        { month, year },
+        { $setOnInsert: { lockedAt: Date.now(), lockedBy: userId } },
+        { upsert: true }
+    );
+    return true;
+};
+
+// Authentication middleware
+const requireAuth = (req, res, next) => {
+    if (req.session.userId) {
+        next();
     } else {
-        res.status(500).json({ error: 'Failed to update product' });
+        res.redirect('/auth/login');
+    }
+};
+
+// Sign a user out everywhere. connect-mongo only lists sessions without their
+// ids and the payload is encrypted, so walk the collection and decrypt each one.
+const destroyUserSessions = async (userId) => {
+    const collection = await store.collectionP;
+    const destroySession = util.promisify(store.destroy).bind(store);
+
+    for await (const doc of collection.find({})) {
+        try {
+            await store.decryptSession(doc);
+        } catch (error) {
+            // Written with an older secret; it can't be used to sign in anyway
+            continue;
+        }
+        const data = store.transformFunctions.unserialize(doc.session);
+        if (data && String(data.userId) === String(userId)) {
+            await destroySession(doc._id);
+        }
+    }
+};
+
+// What each role may do. Admins manage users, payroll and settings; managers
+// run sales, inventory and reports; employees only record sales.
+const ROLE_PERMISSIONS = {
+    admin: ['recordSales', 'manageSales', 'manageInventory', 'viewReports', 'managePayroll', 'manageSettings', 'manageUsers'],
+    manager: ['recordSales', 'manageSales', 'manageInventory', 'viewReports'],
+    employee: ['recordSales']
+};
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+// Signed in and allowed to use this part of the app
+const requirePermission = (permission) => (req, res, next) => {
+    if (!req.session.userId) {
+        return res.redirect('/auth/login');
+    }
+    if (!hasPermission(req.session.user && req.session.user.role, permission)) {
+        return res.status(403).send('You do not have permission to access this page');
+    }
+    next();
+};
+
+// Everyone who signs in works for the same factory, so customers, payments and
+// reports cover the whole factory. Staff who can only record sales see the
+// sales they recorded themselves; managers and admins see every sale.
+const salesScope = (req) => (
+    hasPermission(req.session.user && req.session.user.role, 'manageSales') ? {} : { userId: req.session.userId }
+);
+
+// Branch a new sale is recorded at. Counter staff always sell at their own
+// branch; managers and admins can pick another. Users without a branch sell
+// at the factory. Null when the branch picked doesn't exist or is closed.
+const getSaleBranch = async (req, requestedId) => {
+    if (requestedId && hasPermission(req.session.user.role, 'manageSales')) {
+        return mongoose.isValidObjectId(requestedId) ? Branch.findOne({ _id: requestedId, isActive: true }) : null;
+    }
+    const branchId = req.session.user.branchId;
+    const branch = branchId ? await Branch.findOne({ _id: branchId, isActive: true }) : null;
+    return branch || Branch.getMain();
+};
+
+// Make user data available to all views
+app.use((req, res, next) => {
+    res.locals.user = req.session.user || null;
+    // Permission flags so views can hide what the user can't use
+    const role = req.session.user && req.session.user.role;
+    res.locals.can = Object.fromEntries(ROLE_PERMISSIONS.admin.map(p => [p, hasPermission(role, p)]));
+    next();
+});
+
+// Number of stock alerts for the navbar badge, counted only when a page is
+// rendered so PDFs, redirects and JSON don't pay for it
+app.use((req, res, next) => {
+    if (res.locals.can.manageInventory) {
+        const render = res.render.bind(res);
+        res.render = (view, options, callback) => {
+            StockItem.countDocuments(STOCK_ALERT_FILTER)
+                .then(count => { res.locals.stockAlertCount = count; })
+                .catch(error => console.error('Error counting stock alerts:', error))
+                .finally(() => render(view, options, callback));
+        };
+    }
+    next();
+});
+
+// Users given a temporary password must choose their own before anything else
+app.use((req, res, next) => {
+    const allowed = ['/account/password', '/auth/logout'];
+    if (req.session.user && req.session.user.mustChangePassword && !allowed.includes(req.path)) {
+        return res.redirect('/account/password');
+    }
+    next();
+});
+
+// Routes
+
+// Authentication Routes
+app.get('/auth/login', (req, res) => {
+    if (req.session.userId) {
+        return res.redirect('/');
+    }
+    res.render('auth/login', { title: 'Login', layout: false });
+});
+
+app.post('/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        const user = await User.findOne({ 
+            $or: [{ username }, { email: username }],
+            isActive: true 
+        });
+        
+        if (!user) {
+            return res.render('auth/login', { 
+                error: 'Invalid username or password',
+                title: 'Login',
+                layout: false
+            });
+        }
+        
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch) {
+            return res.render('auth/login', { 
+                error: 'Invalid username or password',
+                title: 'Login',
+                layout: false
+            });
+        }
+        
+        // Update last login
+        user.lastLogin = new Date();
+        await user.save();
+        
+        // Set session
+        req.session.userId = user._id;
+        req.session.user = {
+            id: user._id,
+            username: user.username,
+            fullName: user.fullName,
+            email: user.email,
+            role: user.role,
+            branchId: user.branchId,
+            mustChangePassword: user.mustChangePassword
+        };
+        
+        res.redirect('/');
+    } catch (error) {
+        console.error('Login error:', error);
+        res.render('auth/login', { 
+            error: 'An error occurred during login',
+            title: 'Login',
+            layout: false
+        });
+    }
+});
+
+app.get('/auth/register', (req, res) => {
+    if (req.session.userId) {
+        return res.redirect('/');
+    }
+    res.render('auth/register', { title: 'Register', layout: false });
+});
+
+app.post('/auth/register', async (req, res) => {
+    try {
+        const { username, email, password, confirmPassword, fullName } = req.body;
+        
+        // Validation
+        if (password !== confirmPassword) {
+            return res.render('auth/register', { 
+                error: 'Passwords do not match',
+                title: 'Register',
+                layout: false
+            });
+        }
+        
+        // Check if user already exists
+        const existingUser = await User.findOne({
+            $or: [{ username }, { email }]
+        });
+        
+        if (existingUser) {
+            return res.render('auth/register', { 
+                error: 'Username or email already exists',
+                title: 'Register',
+                layout: false
+            });
+        }
+        
+        // Self-registered accounts get the lowest role; an admin can promote them.
+        // The very first account becomes the admin so a new install can be set up.
+        const isFirstUser = (await User.countDocuments()) === 0;
+        const user = new User({
+            username,
+            email,
+            password,
+            fullName,
+            role: isFirstUser ? 'admin' : 'employee'
+        });
+        
+        await user.save();
+        await recordAudit(req, 'User', 'create', { after: user });
+        
+        res.render('auth/login', { 
+            success: 'Account created successfully! Please login.',
+            title: 'Login',
+            layout: false
+        });
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.render('auth/register', { 
+            error: 'An error occurred during registration',
+            title: 'Register',
+            layout: false
+        });
+    }
+});
+
+app.post('/auth/logout', (req, res) => {
+    req.session.destroy((err) => {
+        if (err) {
+            console.error('Logout error:', err);
+        }
+        res.redirect('/auth/login');
+    });
+});
+
+// Change my password
+app.get('/account/password', requireAuth, (req, res) => {
+    res.render('auth/change-password', {
+        mustChange: Boolean(req.session.user.mustChangePassword),
+        saved: req.query.saved === '1',
+        title: 'Change Password'
+    });
+});
+
+app.post('/account/password', requireAuth, async (req, res) => {
+    const renderError = (error) => res.status(400).render('auth/change-password', {
+        mustChange: Boolean(req.session.user.mustChangePassword),
+        error,
+        title: 'Change Password'
+    });
+
+    try {
+        const { currentPassword, newPassword, confirmPassword } = req.body;
+
+        const user = await User.findById(req.session.userId);
+        if (!user) {
+            return res.status(404).send('User not found');
+        }
+
+        if (!(await user.comparePassword(currentPassword || ''))) {
+            return renderError('Current password is incorrect');
+        }
+        if (!newPassword || newPassword.length < 6) {
+            return renderError('New password must be at least 6 characters');
+        }
+        if (newPassword !== confirmPassword) {
+            return renderError('Passwords do not match');
+        }
+        if (newPassword === currentPassword) {
+            return renderError('New password must be different from the current one');
+        }
+
+        const before = user.toObject();
+        user.password = newPassword;
+        user.mustChangePassword = false;
+        await user.save();
+        await recordAudit(req, 'User', 'update', { before, after: user });
+
+        req.session.user.mustChangePassword = false;
+        res.redirect('/account/password?saved=1');
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).send('Error changing password');
+    }
+});
+
+// Dashboard
+app.get('/', requireAuth, (req, res) => {
+    res.render('dashboard', {
+        title: 'Ramlila Pedhewale Factory',
+        factoryName: 'Ramlila Pedhewale-Bidkar'
+    });
+});
+
+// Factory profile - name, address and GSTIN printed on tax invoices
+app.get('/settings/factory', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        const profile = await FactoryProfile.getProfile();
+        res.render('settings/factory', {
+            profile: profile.toObject(),
+            gstStates: GST_STATES,
+            saved: req.query.saved === '1',
+            title: 'Factory Profile'
+        });
+    } catch (error) {
+        console.error('Error loading factory profile:', error);
+        res.status(500).send('Error loading factory profile');
+    }
+});
+
+app.post('/settings/factory', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        const { name, tagline, address, phone, email, gstin, stateCode, invoicePrefix, invoiceFormat, invoiceDigits } = req.body;
+        const cleanGstin = (gstin || '').trim().toUpperCase();
+        const format = (invoiceFormat || '').trim() || '{prefix}/{fy}/{seq}';
+        const digits = parseInt(invoiceDigits) || 4;
+
+        let error = null;
+        if (cleanGstin && !GSTIN_PATTERN.test(cleanGstin)) {
+            error = `${cleanGstin} is not a valid GSTIN.`;
+        } else if (!format.includes('{seq}') || !format.includes('{fy}')) {
+            // The running number restarts each April, so the year keeps numbers unique
+            error = 'The invoice number format must include both {fy} and {seq}.';
+        } else if (digits < 1 || digits > 10) {
+            error = 'Invoice number digits must be between 1 and 10.';
+        }
+        if (error) {
+            return res.status(400).render('settings/factory', {
+                profile: req.body,
+                gstStates: GST_STATES,
+                error,
+                title: 'Factory Profile'
+            });
+        }
+
+        const profile = await FactoryProfile.getProfile();
+        const before = profile.toObject();
+        profile.name = name;
+        profile.tagline = tagline;
+        profile.address = address;
+        profile.phone = phone;
+        profile.email = email;
+        profile.gstin = cleanGstin || undefined;
+        profile.stateCode = stateCode || getStateFromGstin(cleanGstin) || undefined;
+        profile.invoicePrefix = (invoicePrefix || '').trim();
+        profile.invoiceFormat = format;
+        profile.invoiceDigits = digits;
+        await profile.save();
+        await recordAudit(req, 'FactoryProfile', 'update', { before, after: profile });
+
+        res.redirect('/settings/factory?saved=1');
+    } catch (error) {
+        console.error('Error saving factory profile:', error);
+        res.status(500).send('Error saving factory profile');
+    }
+});
+
+// Branches - the factory counter and retail outlets
+const renderBranches = async (res, error) => {
+    await Branch.getMain();
+    const branches = await Branch.find().sort({ isMain: -1, name: 1 });
+    res.status(error ? 400 : 200).render('settings/branches', {
+        branches: branches.map(b => b.toObject()),
+        error,
+        title: 'Branches'
+    });
+};
+
+// Name and code from the branch form, or an error message
+const getBranchDetails = async (body, branchId) => {
+    const name = (body.name || '').trim();
+    const code = (body.code || '').trim().toUpperCase();
+    if (!name || !code) {
+        return { error: 'Branch name and code are required' };
+    }
+    const clash = await Branch.findOne({
+        ...(branchId ? { _id: { $ne: branchId } } : {}),
+        $or: [{ name }, { code }]
+    });
+    if (clash) {
+        return { error: `${clash.name} (${clash.code}) already uses that name or code` };
+    }
+    return { name, code, address: body.address, phone: body.phone };
+};
+
+app.get('/settings/branches', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        await renderBranches(res);
+    } catch (error) {
+        console.error('Error loading branches:', error);
+        res.status(500).send('Error loading branches');
+    }
+});
+
+app.post('/settings/branches', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        const details = await getBranchDetails(req.body);
+        if (details.error) {
+            return await renderBranches(res, details.error);
+        }
+
+        const branch = await Branch.create(details);
+        await recordAudit(req, 'Branch', 'create', { after: branch });
+        res.redirect('/settings/branches');
+    } catch (error) {
+        console.error('Error adding branch:', error);
+        res.status(500).send('Error adding branch');
+    }
+});
+
+app.post('/settings/branches/edit/:id', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        const branch = await Branch.findById(req.params.id);
+        if (!branch) {
+            return res.status(404).send('Branch not found');
+        }
+
+        const details = await getBranchDetails(req.body, branch._id);
+        if (details.error) {
+            return await renderBranches(res, details.error);
+        }
+
+        const before = branch.toObject();
+        branch.set(details);
+        // The factory can't be closed; production and unassigned users fall back to it
+        branch.isActive = branch.isMain || req.body.isActive === 'on';
+        await branch.save();
+        await recordAudit(req, 'Branch', 'update', { before, after: branch });
+
+        res.redirect('/settings/branches');
+    } catch (error) {
+        console.error('Error updating branch:', error);
+        res.status(500).send('Error updating branch');
+    }
+});
+
+// Units of measure. Units can't be edited once added, since stock, recipes
+// and sales are recorded in them.
+const renderUnits = async (res, error) => {
+    const units = await Unit.getAll();
+    res.status(error ? 400 : 200).render('settings/units', {
+        units: units.map(u => u.toObject()),
+        error,
+        title: 'Units of Measure'
+    });
+};
+
+app.get('/settings/units', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        await renderUnits(res);
+    } catch (error) {
+        console.error('Error loading units:', error);
+        res.status(500).send('Error loading units');
+    }
+});
+
+app.post('/settings/units', requirePermission('manageSettings'), async (req, res) => {
+    try {
+        const code = (req.body.code || '').trim().toLowerCase();
+        const name = (req.body.name || '').trim();
+        const dimension = ['mass', 'volume', 'count'].includes(req.body.dimension) ? req.body.dimension : undefined;
+        const factor = parseFloat(req.body.factor);
+        if (!code || !name) {
+            return await renderUnits(res, 'Unit code and name are required');
+        }
+        if (dimension && !(factor > 0)) {
+            return await renderUnits(res, 'Give how many of the smallest unit make up one of this unit');
+        }
+        const clash = await Unit.findOne({ code });
+        if (clash) {
+            return await renderUnits(res, `${clash.name} already uses the code ${code}`);
+        }
+
+        const unit = await Unit.create({ code, name, dimension, factor: dimension ? factor : 1 });
+        await recordAudit(req, 'Unit', 'create', { after: unit });
+        res.redirect('/settings/units');
+    } catch (error) {
+        console.error('Error adding unit:', error);
+        res.status(500).send('Error adding unit');
+    }
+});
+
+// User administration - admins invite users, set roles, deactivate accounts
+// and force password resets
+const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const renderUserAdmin = async (req, res, error) => {
+    const main = await Branch.getMain();
+    const [users, branches] = await Promise.all([
+        User.find().sort({ isActive: -1, username: 1 }),
+        Branch.find({ isActive: true }).sort({ isMain: -1, name: 1 })
+    ]);
+    res.status(error ? 400 : 200).render('admin/users', {
+        users: users.map(u => ({
+            ...u.toObject(),
+            branchId: String(u.branchId || main._id),
+            isSelf: String(u._id) === String(req.session.userId)
+        })),
+        branches: branches.map(b => ({ ...b.toObject(), _id: String(b._id) })),
+        mainBranchId: String(main._id),
+        roles: USER_ROLES,
+        saved: req.query.saved,
+        error,
+        title: 'Users'
+    });
+};
+
+// Loads the user an admin action is aimed at. Admins can't demote, deactivate
+// or reset themselves here, so there is always an admin left to undo it.
+const findManagedUser = async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404).send('User not found');
+        return null;
+    }
+    if (String(user._id) === String(req.session.userId)) {
+        await renderUserAdmin(req, res, 'You cannot change your own account here');
+        return null;
+    }
+    return user;
+};
+
+app.get('/admin/users', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        await renderUserAdmin(req, res);
+    } catch (error) {
+        console.error('Error loading users:', error);
+        res.status(500).send('Error loading users');
+    }
+});
+
+// Invite a user with a temporary password they must change at first login
+app.post('/admin/users/add', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        const { username, email, fullName, role, password, branchId } = req.body;
+
+        if (!USER_ROLES.includes(role)) {
+            return await renderUserAdmin(req, res, 'Please choose a valid role');
+        }
+
+        const existingUser = await User.findOne({
+            $or: [{ username }, { email }]
+        });
+        if (existingUser) {
+            return await renderUserAdmin(req, res, 'Username or email already exists');
+        }
+
+        const branch = mongoose.isValidObjectId(branchId) ? await Branch.findById(branchId) : null;
+        const user = new User({
+            username,
+            email,
+            fullName,
+            role,
+            password,
+            branchId: branch ? branch._id : undefined,
+            mustChangePassword: true
+        });
+        const validationError = user.validateSync();
+        if (validationError) {
+            return await renderUserAdmin(req, res, Object.values(validationError.errors)[0].message);
+        }
+        await user.save();
+        await recordAudit(req, 'User', 'create', { after: user });
+
+        res.redirect('/admin/users?saved=added');
+    } catch (error) {
+        console.error('Error adding user:', error);
+        res.status(500).send('Error adding user');
+    }
+});
+
+app.post('/admin/users/role/:id', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        if (!USER_ROLES.includes(req.body.role)) {
+            return await renderUserAdmin(req, res, 'Please choose a valid role');
+        }
+
+        if (user.role !== req.body.role) {
+            const before = user.toObject();
+            user.role = req.body.role;
+            await user.save();
+            await recordAudit(req, 'User', 'update', { before, after: user });
+            // The role is copied into the session at login
+            await destroyUserSessions(user._id);
+        }
+
+        res.redirect('/admin/users?saved=role');
+    } catch (error) {
+        console.error('Error changing user role:', error);
+        res.status(500).send('Error changing user role');
+    }
+});
+
+// Move a user to another branch. Admins can move themselves too.
+app.post('/admin/users/branch/:id', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).send('User not found');
+        }
+
+        const branch = mongoose.isValidObjectId(req.body.branchId) ? await Branch.findById(req.body.branchId) : null;
+        if (!branch) {
+            return await renderUserAdmin(req, res, 'Please choose a branch');
+        }
+
+        if (!branch._id.equals(user.branchId)) {
+            const before = user.toObject();
+            user.branchId = branch._id;
+            await user.save();
+            await recordAudit(req, 'User', 'update', { before, after: user });
+            if (user._id.equals(req.session.userId)) {
+                req.session.user.branchId = branch._id;
+            } else {
+                // The branch is copied into the session at login
+                await destroyUserSessions(user._id);
+            }
+        }
+
+        res.redirect('/admin/users?saved=branch');
+    } catch (error) {
+        console.error('Error changing user branch:', error);
+        res.status(500).send('Error changing user branch');
+    }
+});
+
+app.post('/admin/users/deactivate/:id', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        const before = user.toObject();
+        user.isActive = false;
+        await user.save();
+        await recordAudit(req, 'User', 'update', { before, after: user });
+        await destroyUserSessions(user._id);
+
+        res.redirect('/admin/users?saved=deactivated');
+    } catch (error) {
+        console.error('Error deactivating user:', error);
+        res.status(500).send('Error deactivating user');
+    }
+});
+
+app.post('/admin/users/reactivate/:id', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        const before = user.toObject();
+        user.isActive = true;
+        await user.save();
+        await recordAudit(req, 'User', 'update', { before, after: user });
+
+        res.redirect('/admin/users?saved=reactivated');
+    } catch (error) {
+        console.error('Error reactivating user:', error);
+        res.status(500).send('Error reactivating user');
+    }
+});
+
+// Set a temporary password and sign the user out everywhere
+app.post('/admin/users/reset-password/:id', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        const user = await findManagedUser(req, res);
+        if (!user) return;
+
+        const password = req.body.password || '';
+        if (password.length < 6) {
+            return await renderUserAdmin(req, res, 'Temporary password must be at least 6 characters');
+        }
+
+        const before = user.toObject();
+        user.password = password;
+        user.mustChangePassword = true;
+        await user.save();
+        await recordAudit(req, 'User', 'update', { before, after: user });
+        await destroyUserSessions(user._id);
+
+        res.redirect('/admin/users?saved=reset');
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).send('Error resetting password');
+    }
+});
+
+// Audit log - every create, update and delete made through the app
+const AUDIT_ENTITIES = [
+    'Sale', 'Payment', 'Customer', 'StockItem', 'StockLot', 'StockTransfer', 'Product', 'ProductionBatch',
+    'Supplier', 'PurchaseOrder', 'GoodsReceipt', 'SupplierBill', 'SupplierPayment',
+    'Employee', 'Attendance', 'Advance', 'Salary', 'Holiday', 'PayrollSettings', 'FactoryProfile', 'Branch', 'Unit', 'User'
+];
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+const AUDIT_PAGE_SIZE = 200;
+
+// A changed value as shown in the audit log
+const formatAuditValue = (value) => {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+app.get('/admin/audit', requirePermission('manageUsers'), async (req, res) => {
+    try {
+        const { userId, entity, action, from, to } = req.query;
+        const q = (req.query.q || '').trim();
+        const fromDate = moment(from, 'YYYY-MM-DD', true);
+        const toDate = moment(to, 'YYYY-MM-DD', true);
+
+        const filter = {};
+        if (mongoose.isValidObjectId(userId)) filter.userId = userId;
+        if (AUDIT_ENTITIES.includes(entity)) filter.entity = entity;
+        if (AUDIT_ACTIONS.includes(action)) filter.action = action;
+        if (fromDate.isValid() || toDate.isValid()) {
+            filter.createdAt = {};
+            if (fromDate.isValid()) filter.createdAt.$gte = fromDate.startOf('day').toDate();
+            if (toDate.isValid()) filter.createdAt.$lte = toDate.endOf('day').toDate();
+        }
+        // Search by record name or invoice number, record id or changed field
+        if (q) {
+            const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            filter.$or = [{ label: pattern }, { entityId: q }, { 'changes.field': pattern }];
+        }
+
+        const [entries, users] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1 }).limit(AUDIT_PAGE_SIZE + 1),
+            User.find().sort({ username: 1 })
+        ]);
+
+        res.render('admin/audit', {
+            entries: entries.slice(0, AUDIT_PAGE_SIZE).map(entry => ({
+                ...entry.toObject(),
+                when: moment(entry.createdAt).format('DD MMM YYYY, hh:mm A'),
+                changes: entry.changes.map(change => ({
+                    field: change.field,
+                    from: formatAuditValue(change.from),
+                    to: formatAuditValue(change.to)
+                })),
+                // Short change lists are shown open; creates and deletes list every field
+                expanded: entry.changes.length <= 5
+            })),
+            hasMore: entries.length > AUDIT_PAGE_SIZE,
+            pageSize: AUDIT_PAGE_SIZE,
+            users: users.map(u => ({ _id: String(u._id), username: u.username, selected: String(u._id) === userId })),
+            entities: AUDIT_ENTITIES.map(name => ({ name, selected: name === entity })),
+            actions: AUDIT_ACTIONS.map(name => ({ name, selected: name === action })),
+            filters: {
+                from: fromDate.isValid() ? from : '',
+                to: toDate.isValid() ? to : '',
+                q
+            },
+            title: 'Audit Log'
+        });
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        res.status(500).send('Error loading audit log');
+    }
+});
+
+// Sales Management Routes
+// Sales list - show both simple and multi-product sales
+app.get('/sales', requirePermission('recordSales'), async (req, res) => {
+    try {
+        const [simpleSales, multiSales] = await Promise.all([
+            SimpleSale.find(salesScope(req)).sort({ createdAt: -1 }).populate('userId', 'username').populate('branchId', 'name'),
+            Sale.find(salesScope(req)).sort({ createdAt: -1 })
+                .populate('userId', 'username').populate('branchId', 'name').populate('voidedBy', 'username')
+        ]);
+
+        const simpleMapped = simpleSales.map(s => ({
+            ...s.toObject(),
+            type: 'simple',
+            totalAmount: s.amount
+        }));
+
+        const multiMapped = multiSales.map(sale => ({
+            ...sale.toObject(),
+            type: 'multiple',
+            isVoid: sale.status === 'void',
+            amountDue: Math.max(0, Math.round((sale.totalAmount - getAmountPaid(sale)) * 100) / 100),
+            productName: sale.items.length > 1 ?
+                `${sale.items[0].productName} + ${sale.items.length - 1} more` :
+                sale.items[0]?.productName || 'Multiple Products'
+        }));
+
+        const allSales = [...simpleMapped, ...multiMapped]
+            .sort((a, b) => new Date(b.createdAt || b.date) - new Date(a.createdAt || a.date));
+
+        // Voided sales stay in the list but don't count towards totals
+        const countedSales = allSales.filter(s => !s.isVoid);
+        const totalSales = countedSales.reduce((sum, s) => sum + (s.totalAmount || 0), 0);
+        const totalQuantity = multiSales.filter(sale => sale.status !== 'void').reduce((sum, sale) =>
+            sum + sale.items.reduce((itemSum, item) => itemSum + getBaseQuantity(item), 0), 0);
+
+        res.render('sales/list', {
+            sales: allSales,
+            totalSales,
+            totalQuantity,
+            orderCount: countedSales.length,
+            title: 'Sales Management'
+        });
+    } catch (error) {
+        console.error('Error loading sales:', error);
+        res.status(500).send('Error loading sales');
+    }
+});
+
+// Single-product sale routes have been removed
+
+// Stock Management Routes
+app.get('/stock', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const [items, branches] = await Promise.all([
+            StockItem.find().sort({ name: 1 }),
+            Branch.find().sort({ isMain: -1, name: 1 })
+        ]);
+
+        // One branch's quantities, or the totals with a per-branch breakdown
+        const branch = branches.find(b => String(b._id) === req.query.branch);
+        const stock = items.map(item => {
+            const quantity = branch ? getBranchQuantity(item, branch._id) : item.quantity;
+            return {
+                ...item.toObject(),
+                quantity,
+                stockStatus: getStockStatus(item),
+                value: roundMoney(Math.max(0, quantity) * (item.averageCost || 0)),
+                branchQuantities: branch ? [] : branches
+                    .map(b => ({ code: b.code, quantity: getBranchQuantity(item, b._id) }))
+                    .filter(b => b.quantity !== 0)
+            };
+        });
+        
+        // Stock levels against each item's reorder level
+        const lowStockCount = stock.filter(item => item.stockStatus === 'low').length;
+        const mediumStockCount = stock.filter(item => item.stockStatus === 'medium').length;
+        const goodStockCount = stock.filter(item => item.stockStatus === 'good').length;
+
+        const recentConsumption = await StockConsumption.find(branch ? { branchId: branch._id } : {})
+            .sort({ date: -1, createdAt: -1 })
+            .limit(20);
+        
+        res.render('stock/list', { 
+            stock, 
+            branches: branches.map(b => ({ ...b.toObject(), selected: b === branch })),
+            branch: branch ? branch.toObject() : null,
+            lowStockCount,
+            mediumStockCount,
+            goodStockCount,
+            stockValue: roundMoney(stock.reduce((sum, item) => sum + item.value, 0)),
+            recentConsumption: recentConsumption.map(c => c.toObject()),
+            title: 'Stock Management' 
+        });
+    } catch (error) {
+        console.error('Error loading stock:', error);
+        res.status(500).send('Error loading stock');
+    }
+});
+
+const renderStockAdd = async (res, error) => {
+    const main = await Branch.getMain();
+    const branches = await Branch.find({ isActive: true }).sort({ isMain: -1, name: 1 });
+    res.status(error ? 400 : 200).render('stock/add', {
+        branches: branches.map(b => ({ ...b.toObject(), selected: b._id.equals(main._id) })),
+        units: getUnitOptions(await Unit.getAll()),
+        error,
+        title: 'Add Stock'
+    });
+};
+
+app.get('/stock/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        await renderStockAdd(res);
+    } catch (error) {
+        console.error('Error loading stock form:', error);
+        res.status(500).send('Error loading stock form');
+    }
+});
+
+app.post('/stock/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { name, quantity, unit, unitCost, description, branchId, lotNumber, expiryDate, reorderLevel, reorderQuantity } = req.body;
+        
+        // The opening quantity is held at the chosen branch
+        const branch = (mongoose.isValidObjectId(branchId) && await Branch.findById(branchId)) || await Branch.getMain();
+        const opening = parseFloat(quantity) || 0;
+        if (opening < 0) {
+            return await renderStockAdd(res, 'Opening quantity can\'t be negative.');
+        }
+        const stockItem = new StockItem({
+            name,
+            quantity: opening,
+            branchStock: [{ branchId: branch._id, quantity: opening }],
+            averageCost: Math.max(0, parseFloat(unitCost) || 0),
+            reorderLevel: Math.max(0, parseFloat(reorderLevel) || 0),
+            reorderQuantity: Math.max(0, parseFloat(reorderQuantity) || 0),
+            unit,
+            description,
+            userId: req.session.userId
+        });
+        await stockItem.save();
+        if (opening !== 0) {
+            const lots = opening > 0 ? [await createLot('material', stockItem, branch._id, opening, {
+                lotNumber: (lotNumber || '').trim() || 'OPENING',
+                expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+                userId: req.session.userId
+            })] : [];
+            await logStockMovement(stockItem, branch._id, opening, {
+                type: 'opening',
+                reason: 'Quantity when the item was added',
+                lots,
+                userId: req.session.userId
+            });
+        }
+        await recordAudit(req, 'StockItem', 'create', { after: stockItem });
+        
+        res.redirect('/stock');
+    } catch (error) {
+        console.error('Error saving stock item:', error);
+        res.status(500).send('Error saving stock item');
+    }
+});
+
+app.get('/stock/edit/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const stockItem = await StockItem.findById(req.params.id);
+        
+        if (!stockItem) {
+            return res.status(404).send('Stock item not found');
+        }
+
+        const branches = await Branch.find().sort({ isMain: -1, name: 1 });
+        
+        res.render('stock/edit', {
+            stockItem: { ...stockItem.toObject(), stockStatus: getStockStatus(stockItem) },
+            branches: branches.map(b => ({ ...b.toObject(), quantity: getBranchQuantity(stockItem, b._id) })),
+            units: getUnitOptions(await Unit.getAll(), stockItem.unit),
+            unitLocked: await getStockItemUse(stockItem),
+            title: 'Edit Stock'
+        });
+    } catch (error) {
+        console.error('Error loading stock item:', error);
+        res.status(500).send('Error loading stock item');
+    }
+});
+
+app.post('/stock/edit/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { name, unit, description, reorderLevel, reorderQuantity } = req.body;
+        
+        const stockItem = await StockItem.findById(req.params.id);
+        
+        if (!stockItem) {
+            return res.status(404).send('Stock item not found');
+        }
+
+        // Quantities, costs and recipes are in the item's unit, so it stays
+        // while any of them refer to it
+        if (unit !== stockItem.unit) {
+            const inUse = await getStockItemUse(stockItem);
+            if (inUse) {
+                return res.status(400).send(`The unit of ${stockItem.name} can't be changed: ${inUse}.`);
+            }
+        }
+
+        // Quantities change only through the stock ledger
+        const before = stockItem.toObject();
+        stockItem.name = name;
+        stockItem.unit = unit;
+        stockItem.description = description;
+        stockItem.reorderLevel = Math.max(0, parseFloat(reorderLevel) || 0);
+        stockItem.reorderQuantity = Math.max(0, parseFloat(reorderQuantity) || 0);
+        stockItem.lastUpdated = new Date();
+        await stockItem.save();
+        await recordAudit(req, 'StockItem', 'update', { before, after: stockItem });
+        
+        res.redirect('/stock');
+    } catch (error) {
+        console.error('Error updating stock item:', error);
+        res.status(500).send('Error updating stock item');
+    }
+});
+
+// Why a raw material is still needed by other records, or null when nothing
+// refers to it
+const getStockItemUse = async (stockItem) => {
+    if (stockItem.quantity) {
+        return `${stockItem.quantity} ${stockItem.unit || ''} is still in stock`;
+    }
+    const product = await Product.findOne({ 'recipe.stockItemId': stockItem.id }).select('name');
+    if (product) {
+        return `it is in the recipe for ${product.name}`;
+    }
+    const history = await Promise.all([
+        StockLot.exists({ kind: 'material', itemId: stockItem.id }),
+        StockMovement.exists({ stockItemId: stockItem.id }),
+        StockConsumption.exists({ stockItemId: stockItem.id }),
+        ProductionBatch.exists({ 'materials.stockItemId': stockItem.id }),
+        PurchaseOrder.exists({ 'items.stockItemId': stockItem.id }),
+        GoodsReceipt.exists({ 'items.stockItemId': stockItem.id })
+    ]);
+    return history.some(Boolean) ? 'it has stock, production or purchase history' : null;
+};
+
+app.post('/stock/delete/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const stockItem = await StockItem.findById(req.params.id);
+        if (!stockItem) {
+            return res.redirect('/stock');
+        }
+
+        // Ledger, lots and recipes keep the item's id, so it stays while they do
+        const inUse = await getStockItemUse(stockItem);
+        if (inUse) {
+            return res.status(400).send(`${stockItem.name} can't be deleted: ${inUse}.`);
+        }
+
+        await stockItem.deleteOne();
+        await recordAudit(req, 'StockItem', 'delete', { before: stockItem });
+        res.redirect('/stock');
+    } catch (error) {
+        console.error('Error deleting stock item:', error);
+        res.status(500).send('Error deleting stock item');
+    }
+});
+
+// Stock ledger - every movement of a raw material, with balances for a date range
+const STOCK_MOVEMENT_LABELS = {
+    opening: 'Opening stock',
+    purchase: 'Purchase',
+    production: 'Used in production',
+    sale: 'Made to order',
+    'sale-return': 'Returned from sale',
+    wastage: 'Wastage',
+    adjustment: 'Adjustment',
+    'transfer-in': 'Transfer in',
+    'transfer-out': 'Transfer out'
+};
+
+// Movements entered by hand, and which way each one moves the stock
+const MANUAL_STOCK_MOVEMENTS = {
+    purchase: { type: 'purchase', sign: 1 },
+    wastage: { type: 'wastage', sign: -1 },
+    'adjustment-in': { type: 'adjustment', sign: 1 },
+    'adjustment-out': { type: 'adjustment', sign: -1 }
+};
+
+const renderStockMovements = async (req, res, stockItem, error) => {
+    const branches = await Branch.find().sort({ isMain: -1, name: 1 });
+    const branch = branches.find(b => String(b._id) === req.query.branch);
+    const fromDate = moment(req.query.from, 'YYYY-MM-DD', true);
+    const toDate = moment(req.query.to, 'YYYY-MM-DD', true);
+    const from = (fromDate.isValid() ? fromDate : moment().startOf('month')).startOf('day');
+    const to = (toDate.isValid() ? toDate : moment()).endOf('day');
+
+    const scope = { stockItemId: stockItem._id, ...(branch ? { branchId: branch._id } : {}) };
+    const [earlier, movements, ledger, lots] = await Promise.all([
+        StockMovement.find({ ...scope, date: { $lt: from.toDate() } }).select('quantity'),
+        StockMovement.find({ ...scope, date: { $gte: from.toDate(), $lte: to.toDate() } })
+            .sort({ date: 1, createdAt: 1 })
+            .populate('userId', 'username')
+            .populate('branchId', 'code'),
+        StockMovement.find({ stockItemId: stockItem._id }).select('branchId quantity'),
+        StockLot.find({ kind: 'material', itemId: stockItem._id, remaining: { $gt: 0 } }).populate('branchId', 'name code')
+    ]);
+
+    const round = (value) => Math.round(value * 1000) / 1000;
+    const openingBalance = round(earlier.reduce((sum, m) => sum + m.quantity, 0));
+    let balance = openingBalance;
+    const rows = movements.map(movement => {
+        balance = round(balance + movement.quantity);
+        return {
+            ...movement.toObject(),
+            label: STOCK_MOVEMENT_LABELS[movement.type],
+            isIn: movement.quantity > 0,
+            balance
+        };
+    });
+
+    // Branches where the stock on hand doesn't match the ledger
+    const mismatches = branches
+        .map(b => ({
+            name: b.name,
+            onHand: getBranchQuantity(stockItem, b._id),
+            ledger: round(ledger.filter(m => String(m.branchId) === String(b._id)).reduce((sum, m) => sum + m.quantity, 0))
+        }))
+        .filter(b => b.onHand !== b.ledger);
+
+    res.status(error ? 400 : 200).render('stock/movements', {
+        stockItem: stockItem.toObject(),
+        branches: branches.map(b => ({
+            ...b.toObject(),
+            quantity: getBranchQuantity(stockItem, b._id),
+            selected: b === branch
+        })),
+        activeBranches: branches.filter(b => b.isActive).map(b => b.toObject()),
+        branch: branch ? branch.toObject() : null,
+        movements: rows,
+        openingBalance,
+        closingBalance: balance,
+        totalIn: round(rows.filter(m => m.quantity > 0).reduce((sum, m) => sum + m.quantity, 0)),
+        totalOut: round(rows.filter(m => m.quantity < 0).reduce((sum, m) => sum - m.quantity, 0)),
+        mismatches,
+        lots: lots.sort(byExpiry).map(lot => ({
+            ...lot.toObject(),
+            isExpired: lot.expiryDate && lot.expiryDate < new Date()
+        })),
+        filters: { from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') },
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: `Stock Ledger - ${stockItem.name}`
+    });
+};
+
+app.get('/stock/movements/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const stockItem = await StockItem.findById(req.params.id);
+        if (!stockItem) {
+            return res.status(404).send('Stock item not found');
+        }
+
+        await renderStockMovements(req, res, stockItem);
+    } catch (error) {
+        console.error('Error loading stock ledger:', error);
+        res.status(500).send('Error loading stock ledger');
+    }
+});
+
+// Record a purchase, wastage or adjustment by hand
+app.post('/stock/movements/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const stockItem = await StockItem.findById(req.params.id);
+        if (!stockItem) {
+            return res.status(404).send('Stock item not found');
+        }
+
+        const { kind, branchId, quantity, unitCost, reason, date, lotNumber, expiryDate, lotId } = req.body;
+        const manual = MANUAL_STOCK_MOVEMENTS[kind];
+        const amount = Math.round((parseFloat(quantity) || 0) * 1000) / 1000;
+        const cost = parseFloat(unitCost);
+        const branch = mongoose.isValidObjectId(branchId) ? await Branch.findOne({ _id: branchId, isActive: true }) : null;
+
+        let error = null;
+        if (!manual) {
+            error = 'Choose what kind of movement this is.';
+        } else if (!branch) {
+            error = 'Choose the branch.';
+        } else if (amount <= 0) {
+            error = 'Enter a quantity greater than zero.';
+        } else if (manual.type === 'purchase' && !(cost >= 0)) {
+            error = `Enter what one ${stockItem.unit || 'unit'} cost for the purchase.`;
+        } else if (manual.type !== 'purchase' && !(reason || '').trim()) {
+            error = 'Enter a reason for the wastage or adjustment.';
+        } else if (manual.sign < 0 && amount > getBranchQuantity(stockItem, branch._id)) {
+            error = `${branch.name} only has ${getBranchQuantity(stockItem, branch._id)} ${stockItem.unit} of ${stockItem.name}.`;
+        }
+        if (error) {
+            return await renderStockMovements(req, res, stockItem, error);
+        }
+
+        // Purchases start a lot; wastage can be written off a chosen lot
+        const movementDate = date ? new Date(date) : new Date();
+        const lot = manual.type === 'purchase' ? {
+            lotNumber: (lotNumber || '').trim() || `P-${moment(movementDate).format('YYMMDD')}`,
+            receivedDate: movementDate,
+            expiryDate: expiryDate ? new Date(expiryDate) : undefined,
+            userId: req.session.userId
+        } : undefined;
+
+        const before = stockItem.toObject();
+        const updated = await moveStock(stockItem._id, branch._id, manual.sign * amount, {
+            type: manual.type,
+            ...(manual.type === 'purchase' ? { unitCost: roundMoney(cost) } : {}),
+            lot,
+            fromLotId: manual.type === 'wastage' && mongoose.isValidObjectId(lotId) ? lotId : undefined,
+            reason,
+            userId: req.session.userId,
+            date: movementDate
+        });
+        await recordAudit(req, 'StockItem', 'update', { before, after: updated });
+
+        res.redirect(`/stock/movements/${stockItem._id}`);
+    } catch (error) {
+        console.error('Error recording stock movement:', error);
+        res.status(500).send('Error recording stock movement');
+    }
+});
+
+// Stock Transfer Routes
+// Transfer rows come in as { item: 'product:<id>' | 'material:<id>', quantity }
+const parseTransferItems = (rows, products, stock) => {
+    let normalized = [];
+    if (Array.isArray(rows)) {
+        normalized = rows;
+    } else if (rows && typeof rows === 'object') {
+        normalized = Object.values(rows);
+    }
+
+    const items = [];
+    for (const row of normalized) {
+        const [kind, itemId] = String(row.item || '').split(':');
+        const quantity = Math.round((parseFloat(row.quantity) || 0) * 1000) / 1000;
+        const source = kind === 'product' ? products : kind === 'material' ? stock : [];
+        const match = source.find(item => item.id === itemId);
+        if (!match || quantity <= 0) continue;
+
+        const existing = items.find(item => item.kind === kind && item.itemId === itemId);
+        if (existing) {
+            existing.quantity = Math.round((existing.quantity + quantity) * 1000) / 1000;
+            continue;
+        }
+        items.push({ kind, itemId, itemName: match.name, quantity, unit: match.unit, item: match });
+    }
+    return items;
+};
+
+const TRANSFER_MODELS = { product: Product, material: StockItem };
+
+const renderTransferAdd = async (res, error) => {
+    const [branches, products, stock] = await Promise.all([
+        Branch.find({ isActive: true }).sort({ isMain: -1, name: 1 }),
+        Product.find().sort({ name: 1 }),
+        StockItem.find().sort({ name: 1 })
+    ]);
+    res.status(error ? 400 : 200).render('stock/transfer-add', {
+        branches: branches.map(b => b.toObject()),
+        products: products.map(p => p.toObject()),
+        stock: stock.map(s => s.toObject()),
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: 'New Stock Transfer'
+    });
+};
+
+app.get('/stock/transfers', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const transfers = await StockTransfer.find()
+            .sort({ date: -1, createdAt: -1 })
+            .limit(100)
+            .populate('fromBranchId', 'name code')
+            .populate('toBranchId', 'name code')
+            .populate('userId', 'username');
+
+        res.render('stock/transfers', {
+            transfers: transfers.map(t => t.toObject()),
+            title: 'Stock Transfers'
+        });
+    } catch (error) {
+        console.error('Error loading stock transfers:', error);
+        res.status(500).send('Error loading stock transfers');
+    }
+});
+
+app.get('/stock/transfers/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        await renderTransferAdd(res);
+    } catch (error) {
+        console.error('Error loading transfer form:', error);
+        res.status(500).send('Error loading transfer form');
+    }
+});
+
+// Move stock between branches. Nothing moves unless the sending branch holds
+// every item in full.
+app.post('/stock/transfers/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { fromBranchId, toBranchId, items: rows, date, notes } = req.body;
+
+        const [fromBranch, toBranch] = await Promise.all([
+            mongoose.isValidObjectId(fromBranchId) ? Branch.findOne({ _id: fromBranchId, isActive: true }) : null,
+            mongoose.isValidObjectId(toBranchId) ? Branch.findOne({ _id: toBranchId, isActive: true }) : null
+        ]);
+        if (!fromBranch || !toBranch) {
+            return await renderTransferAdd(res, 'Choose the branches to transfer from and to');
+        }
+        if (fromBranch._id.equals(toBranch._id)) {
+            return await renderTransferAdd(res, 'A transfer needs two different branches');
+        }
+
+        const items = parseTransferItems(rows, await Product.find(), await StockItem.find());
+        if (items.length === 0) {
+            return await renderTransferAdd(res, 'Add at least one item to transfer');
+        }
+
+        const short = items.filter(item => getBranchQuantity(item.item, fromBranch._id) < item.quantity);
+        if (short.length > 0) {
+            return await renderTransferAdd(res, `Not enough stock at ${fromBranch.name}: ` + short
+                .map(item => `${item.itemName} (need ${item.quantity}, have ${getBranchQuantity(item.item, fromBranch._id)})`)
+                .join(', '));
+        }
+
+        // Take everything first so a sale in between can't leave the transfer half done
+        const taken = [];
+        for (const item of items) {
+            const Model = TRANSFER_MODELS[item.kind];
+            const quantity = await takeBranchStock(Model, item.itemId, fromBranch._id, item.quantity);
+            taken.push({ Model, item, quantity });
+            if (quantity < item.quantity) {
+                for (const t of taken) {
+                    if (t.quantity > 0) await adjustBranchStock(t.Model, t.item.itemId, fromBranch._id, t.quantity);
+                }
+                return await renderTransferAdd(res, `${item.itemName} was sold or used at ${fromBranch.name} while saving; please try again`);
+            }
+        }
+        for (const t of taken) {
+            await adjustBranchStock(t.Model, t.item.itemId, toBranch._id, t.quantity);
+        }
+
+        const seq = await Counter.next('stock-transfer');
+        const transfer = await StockTransfer.create({
+            transferNumber: `TR-${String(seq).padStart(5, '0')}`,
+            date: date ? new Date(date) : new Date(),
+            fromBranchId: fromBranch._id,
+            toBranchId: toBranch._id,
+            items: items.map(({ item, ...line }) => line),
+            notes,
+            userId: req.session.userId
+        });
+        for (const [index, t] of taken.entries()) {
+            const lots = await transferLots(t.item.kind, t.item.item, fromBranch._id, toBranch._id, t.quantity, transfer._id);
+            transfer.items[index].lots = lots.taken;
+            if (t.item.kind !== 'material') continue;
+
+            const movement = { transferId: transfer._id, userId: req.session.userId, date: transfer.date };
+            await logStockMovement(t.item.item, fromBranch._id, -t.quantity, {
+                ...movement, type: 'transfer-out', reason: `${transfer.transferNumber} to ${toBranch.name}`, lots: lots.taken
+            });
+            await logStockMovement(t.item.item, toBranch._id, t.quantity, {
+                ...movement, type: 'transfer-in', reason: `${transfer.transferNumber} from ${fromBranch.name}`, lots: lots.received
+            });
+        }
+        await transfer.save();
+        await recordAudit(req, 'StockTransfer', 'create', { after: transfer });
+
+        res.redirect('/stock/transfers');
+    } catch (error) {
+        console.error('Error saving stock transfer:', error);
+        res.status(500).send('Error saving stock transfer');
+    }
+});
+
+// Lots that have expired or will within the next few days, at every branch
+app.get('/stock/expiring', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const requested = parseInt(req.query.days);
+        const days = isNaN(requested) ? 7 : Math.min(Math.max(requested, 0), 365);
+        const branches = await Branch.find().sort({ isMain: -1, name: 1 });
+        const branch = branches.find(b => String(b._id) === req.query.branch);
+
+        const today = moment().startOf('day');
+        const lots = await StockLot.find({
+            remaining: { $gt: 0 },
+            expiryDate: { $lte: moment(today).add(days, 'days').endOf('day').toDate() },
+            ...(branch ? { branchId: branch._id } : {})
+        })
+            .sort({ expiryDate: 1, receivedDate: 1 })
+            .populate('branchId', 'name code');
+
+        const rows = lots.map(lot => {
+            const daysLeft = moment(lot.expiryDate).startOf('day').diff(today, 'days');
+            return { ...lot.toObject(), daysLeft, isExpired: daysLeft < 0 };
+        });
+
+        res.render('stock/expiring', {
+            lots: rows,
+            expiredCount: rows.filter(l => l.isExpired).length,
+            expiringCount: rows.filter(l => !l.isExpired).length,
+            branches: branches.map(b => ({ ...b.toObject(), selected: b === branch })),
+            branch: branch ? branch.toObject() : null,
+            days,
+            title: 'Expiring Stock'
+        });
+    } catch (error) {
+        console.error('Error loading expiring stock:', error);
+        res.status(500).send('Error loading expiring stock');
+    }
+});
+
+// Write off what is left of a lot. Raw materials go through the ledger as
+// wastage; finished goods just leave the branch's stock.
+app.post('/stock/expiring/write-off/:lotId', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const lot = mongoose.isValidObjectId(req.params.lotId) ? await StockLot.findById(req.params.lotId) : null;
+        if (!lot) {
+            return res.status(404).send('Lot not found');
+        }
+
+        const before = lot.toObject();
+        const reason = `Lot ${lot.lotNumber} expired${lot.expiryDate ? ` on ${moment(lot.expiryDate).format('DD MMM YYYY')}` : ''}`;
+        if (lot.kind === 'material') {
+            const stockItem = await StockItem.findById(lot.itemId);
+            const amount = stockItem ? Math.min(lot.remaining, Math.max(0, getBranchQuantity(stockItem, lot.branchId))) : 0;
+            if (amount > 0) {
+                await moveStock(stockItem._id, lot.branchId, -amount, {
+                    type: 'wastage',
+                    reason,
+                    fromLotId: lot._id,
+                    userId: req.session.userId
+                });
+            }
+        } else {
+            const taken = await takeBranchStock(Product, lot.itemId, lot.branchId, lot.remaining);
+            if (taken > 0) {
+                await takeFromLots('product', lot.itemId, lot.branchId, taken, lot._id);
+            }
+        }
+
+        // Whatever the branch no longer holds is gone from the lot too
+        await StockLot.updateOne({ _id: lot._id }, { $set: { remaining: 0 } });
+        lot.remaining = 0;
+        await recordAudit(req, 'StockLot', 'update', { before, after: lot, label: `${lot.lotNumber} - ${lot.itemName}` });
+
+        res.redirect('/stock/expiring');
+    } catch (error) {
+        console.error('Error writing off lot:', error);
+        res.status(500).send('Error writing off lot');
+    }
+});
+
+// Days of recent usage a reorder suggestion is based on, and the days of
+// stock it aims to buy on top of the reorder level
+const REORDER_USAGE_DAYS = 30;
+
+// Raw materials at or below their reorder level, with what to buy: enough to
+// get back to the reorder level and last another REORDER_USAGE_DAYS at the
+// recent rate of use, less anything already on order, and never less than
+// the item's reorder quantity
+app.get('/stock/alerts', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const since = moment().subtract(REORDER_USAGE_DAYS, 'days').startOf('day').toDate();
+        const [items, usage, orders] = await Promise.all([
+            StockItem.find(STOCK_ALERT_FILTER).sort({ name: 1 }),
+            // Sale returns net off the sales they came back from
+            StockMovement.aggregate([
+                { $match: { date: { $gte: since }, type: { $in: ['production', 'sale', 'sale-return', 'wastage'] } } },
+                { $group: { _id: '$stockItemId', quantity: { $sum: '$quantity' } } }
+            ]),
+            PurchaseOrder.find({ status: { $in: ['open', 'partial'] } }).select('items')
+        ]);
+
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const alerts = items.map(item => {
+            const used = usage.find(u => u._id === item._id);
+            const dailyUsage = used ? Math.max(0, -used.quantity) / REORDER_USAGE_DAYS : 0;
+            const onOrder = round(orders.reduce((sum, order) => sum + order.items
+                .filter(line => line.stockItemId === item._id)
+                .reduce((lines, line) => lines + Math.max(0, line.quantity - line.receivedQuantity), 0), 0));
+            const shortfall = round(item.reorderLevel + dailyUsage * REORDER_USAGE_DAYS - item.quantity - onOrder);
+
+            return {
+                ...item.toObject(),
+                dailyUsage: round(dailyUsage),
+                daysLeft: dailyUsage > 0 ? Math.max(0, Math.floor(item.quantity / dailyUsage)) : null,
+                onOrder,
+                suggestedQuantity: shortfall > 0 ? Math.max(shortfall, item.reorderQuantity || 0) : 0
+            };
+        });
+
+        res.render('stock/alerts', {
+            alerts,
+            usageDays: REORDER_USAGE_DAYS,
+            unsetCount: await StockItem.countDocuments({ reorderLevel: { $not: { $gt: 0 } } }),
+            title: 'Reorder Alerts'
+        });
+    } catch (error) {
+        console.error('Error loading stock alerts:', error);
+        res.status(500).send('Error loading stock alerts');
+    }
+});
+
+// Goods Receipt Routes - raw materials arriving against a purchase order
+const renderReceiptAdd = async (res, order, error) => {
+    await order.populate([{ path: 'supplierId', select: 'name' }, { path: 'branchId', select: 'name' }]);
+    res.status(error ? 400 : 200).render('stock/receipt-add', {
+        order: {
+            ...order.toObject(),
+            items: order.items.map((item, index) => ({
+                ...item.toObject(),
+                index,
+                remaining: Math.max(0, Math.round((item.quantity - item.receivedQuantity) * 1000) / 1000)
+            }))
+        },
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: `Receive Goods - ${order.orderNumber}`
+    });
+};
+
+app.get('/stock/receipts', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const receipts = await GoodsReceipt.find()
+            .sort({ date: -1, createdAt: -1 })
+            .limit(100)
+            .populate('supplierId', 'name')
+            .populate('purchaseOrderId', 'orderNumber')
+            .populate('branchId', 'name')
+            .populate('userId', 'username');
+
+        res.render('stock/receipts', {
+            receipts: receipts.map(r => r.toObject()),
+            title: 'Goods Received'
+        });
+    } catch (error) {
+        console.error('Error loading goods receipts:', error);
+        res.status(500).send('Error loading goods receipts');
+    }
+});
+
+app.get('/stock/receipts/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const order = mongoose.isValidObjectId(req.query.purchaseOrderId)
+            ? await PurchaseOrder.findById(req.query.purchaseOrderId)
+            : null;
+        if (!order) {
+            return res.redirect('/purchases?status=open');
+        }
+        if (order.status !== 'open' && order.status !== 'partial') {
+            return res.status(400).send(`Nothing more can be received against ${order.orderNumber}`);
+        }
+
+        await renderReceiptAdd(res, order);
+    } catch (error) {
+        console.error('Error loading goods receipt form:', error);
+        res.status(500).send('Error loading goods receipt form');
+    }
+});
+
+// Record what arrived. Each line is added to the receiving branch's stock as a
+// purchase in the stock ledger, at the rate on the order.
+app.post('/stock/receipts/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { purchaseOrderId, items: rows, date, reference, notes } = req.body;
+
+        const order = mongoose.isValidObjectId(purchaseOrderId) ? await PurchaseOrder.findById(purchaseOrderId) : null;
+        if (!order) {
+            return res.status(404).send('Purchase order not found');
+        }
+        if (order.status !== 'open' && order.status !== 'partial') {
+            return res.status(400).send(`Nothing more can be received against ${order.orderNumber}`);
+        }
+
+        // Received quantities come in keyed by the order line they belong to
+        const received = rows || {};
+        const lines = [];
+        const tooMuch = [];
+        order.items.forEach((item, index) => {
+            const row = received[index] || {};
+            const quantity = Math.round((parseFloat(row.quantity) || 0) * 1000) / 1000;
+            if (quantity <= 0) return;
+            const remaining = Math.round((item.quantity - item.receivedQuantity) * 1000) / 1000;
+            if (quantity > remaining) {
+                tooMuch.push(`${item.stockItemName} (ordered ${remaining} more, received ${quantity})`);
+            }
+            lines.push({
+                item,
+                quantity,
+                lotNumber: (row.lotNumber || '').trim(),
+                manufactureDate: row.manufactureDate ? new Date(row.manufactureDate) : undefined,
+                expiryDate: row.expiryDate ? new Date(row.expiryDate) : undefined
+            });
+        });
+
+        if (lines.length === 0) {
+            return await renderReceiptAdd(res, order, 'Enter the quantity received of at least one material.');
+        }
+        if (tooMuch.length > 0) {
+            return await renderReceiptAdd(res, order, 'More than ordered: ' + tooMuch.join(', ') +
+                '. Raise another purchase order for the extra.');
+        }
+
+        const branchId = order.branchId || (await Branch.getMain())._id;
+        const before = order.toObject();
+
+        // Lines without a lot number are lotted under the receipt number
+        const seq = await Counter.next('goods-receipt');
+        const receiptNumber = `GRN-${String(seq).padStart(5, '0')}`;
+        const items = lines.map(({ item, quantity, lotNumber, manufactureDate, expiryDate }) => ({
+            stockItemId: item.stockItemId,
+            stockItemName: item.stockItemName,
+            unit: item.unit,
+            quantity,
+            rate: item.rate,
+            amount: roundMoney(quantity * item.rate),
+            lotNumber: lotNumber || receiptNumber,
+            manufactureDate,
+            expiryDate
+        }));
+
+        const receipt = await GoodsReceipt.create({
+            receiptNumber,
+            purchaseOrderId: order._id,
+            supplierId: order.supplierId,
+            branchId,
+            date: date ? new Date(date) : new Date(),
+            items,
+            totalAmount: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+            reference,
+            notes,
+            userId: req.session.userId
+        });
+
+        for (const [index, { item, quantity }] of lines.entries()) {
+            const line = items[index];
+            await moveStock(item.stockItemId, branchId, quantity, {
+                type: 'purchase',
+                unitCost: item.rate,
+                lot: {
+                    lotNumber: line.lotNumber,
+                    manufactureDate: line.manufactureDate,
+                    expiryDate: line.expiryDate,
+                    receivedDate: receipt.date,
+                    goodsReceiptId: receipt._id,
+                    userId: req.session.userId
+                },
+                reason: `${receipt.receiptNumber} against ${order.orderNumber}`,
+                goodsReceiptId: receipt._id,
+                userId: req.session.userId,
+                date: receipt.date
+            });
+            item.receivedQuantity = Math.round((item.receivedQuantity + quantity) * 1000) / 1000;
+        }
+        updatePurchaseOrderStatus(order);
+        await order.save();
+
+        await recordAudit(req, 'GoodsReceipt', 'create', { after: receipt });
+        await recordAudit(req, 'PurchaseOrder', 'update', { before, after: order });
+
+        res.redirect(`/purchases/${order._id}`);
+    } catch (error) {
+        console.error('Error recording goods receipt:', error);
+        res.status(500).send('Error recording goods receipt');
+    }
+});
+
+// Product Management Routes
+app.get('/products', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const [catalog, branches, stockItems] = await Promise.all([
+            Product.find().sort({ name: 1 }),
+            Branch.find().sort({ isMain: -1, name: 1 }),
+            StockItem.find().select('averageCost')
+        ]);
+        const products = catalog.map(product => {
+            const cost = getProductCost(product, stockItems);
+            return {
+                ...product.toObject(),
+                cost,
+                ...(cost === null ? {} : getMargin(product.price, cost)),
+                branchQuantities: branches
+                    .map(b => ({ code: b.code, quantity: getBranchQuantity(product, b._id) }))
+                    .filter(b => b.quantity !== 0),
+                branchPriceList: branches
+                    .filter(b => product.branchPrices.some(p => p.branchId.equals(b._id)))
+                    .map(b => ({ code: b.code, price: getBranchPrice(product, b._id) }))
+            };
+        });
+        
+        // Calculate product statistics
+        const prices = products.map(p => p.price);
+        const averagePrice = prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : 0;
+        const minPrice = prices.length > 0 ? Math.min(...prices) : 0;
+        const maxPrice = prices.length > 0 ? Math.max(...prices) : 0;
+        
+        res.render('products/list', { 
+            products, 
+            averagePrice,
+            minPrice,
+            maxPrice,
+            title: 'Product Management' 
+        });
+    } catch (error) {
+        console.error('Error loading products:', error);
+        res.status(500).send('Error loading products');
+    }
+});
+
+app.get('/products/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const units = await Unit.getAll();
+        res.render('products/add', {
+            stock: await getRecipeStock(units),
+            units: getUnitOptions(units),
+            title: 'Add Product'
+        });
+    } catch (error) {
+        console.error('Error loading product form:', error);
+        res.status(500).send('Error loading product form');
+    }
+});
+
+app.post('/products/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { name, price, unit, description, category, hsnCode, gstRate, shelfLifeDays, recipe } = req.body;
+        
+        const units = await Unit.getAll();
+        const { sellingUnits, error } = parseSellingUnits(req.body.sellingUnits, unit, units);
+        if (error) {
+            return res.status(400).send(error);
+        }
+
+        const product = new Product({
+            name,
+            price: parseFloat(price),
+            unit,
+            description,
+            category,
+            hsnCode,
+            gstRate: parseFloat(gstRate) || 0,
+            shelfLifeDays: parseInt(shelfLifeDays) > 0 ? parseInt(shelfLifeDays) : undefined,
+            recipe: parseRecipe(recipe, await StockItem.find(), units),
+            sellingUnits,
+            userId: req.session.userId
+        });
+        await product.save();
+        await recordAudit(req, 'Product', 'create', { after: product });
+        
+        res.redirect('/products');
+    } catch (error) {
+        console.error('Error saving product:', error);
+        res.status(500).send('Error saving product');
+    }
+});
+
+// Why a product is still needed by other records, or null when nothing refers to it
+const getProductUse = async (product) => {
+    if (product.finishedStock) {
+        return `${product.finishedStock} ${product.unit || ''} is still in stock`;
+    }
+    const history = await Promise.all([
+        Sale.exists({ 'items.productId': product.id }),
+        ProductionBatch.exists({ productId: product.id }),
+        StockLot.exists({ kind: 'product', itemId: product.id })
+    ]);
+    return history.some(Boolean) ? 'it has sales or production history' : null;
+};
+
+app.get('/products/edit/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        
+        if (!product) {
+            return res.status(404).send('Product not found');
+        }
+        
+        const units = await Unit.getAll();
+        const branches = await Branch.find({ isActive: true }).sort({ isMain: -1, name: 1 });
+        res.render('products/edit', {
+            product: product.toObject(),
+            stock: await getRecipeStock(units),
+            units: getUnitOptions(units, product.unit),
+            unitLocked: await getProductUse(product),
+            branches: branches.map(b => {
+                const override = product.branchPrices.find(p => p.branchId.equals(b._id));
+                return { ...b.toObject(), price: override ? override.price : '' };
+            }),
+            title: 'Edit Product'
+        });
+    } catch (error) {
+        console.error('Error loading product:', error);
+        res.status(500).send('Error loading product');
+    }
+});
+
+app.post('/products/edit/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { name, price, unit, description, category, hsnCode, gstRate, shelfLifeDays, recipe, branchPrices } = req.body;
+        
+        const product = await Product.findById(req.params.id);
+        
+        if (!product) {
+            return res.status(404).send('Product not found');
+        }
+        
+        // Stock, batches and sales are in the product's unit, so it stays while
+        // any of them refer to it
+        if (unit !== product.unit) {
+            const inUse = await getProductUse(product);
+            if (inUse) {
+                return res.status(400).send(`The unit of ${product.name} can't be changed: ${inUse}.`);
+            }
+        }
+
+        const units = await Unit.getAll();
+        const { sellingUnits, error } = parseSellingUnits(req.body.sellingUnits, unit, units);
+        if (error) {
+            return res.status(400).send(error);
+        }
+
+        const before = product.toObject();
+        product.name = name;
+        product.price = parseFloat(price);
+        product.unit = unit;
+        product.description = description;
+        product.category = category;
+        product.hsnCode = hsnCode;
+        product.gstRate = parseFloat(gstRate) || 0;
+        product.shelfLifeDays = parseInt(shelfLifeDays) > 0 ? parseInt(shelfLifeDays) : undefined;
+        product.recipe = parseRecipe(recipe, await StockItem.find(), units);
+        product.sellingUnits = sellingUnits;
+
+        // A blank branch price means the branch sells at the standard price
+        const overrides = branchPrices || {};
+        const branches = await Branch.find({ isActive: true });
+        product.branchPrices = product.branchPrices.filter(p => !branches.some(b => b._id.equals(p.branchId)));
+        branches.forEach(branch => {
+            const override = parseFloat(overrides[branch._id]);
+            if (!isNaN(override) && override >= 0) {
+                product.branchPrices.push({ branchId: branch._id, price: override });
+            }
+        });
+        await product.save();
+        await recordAudit(req, 'Product', 'update', { before, after: product });
+        
+        res.redirect('/products');
+    } catch (error) {
+        console.error('Error updating product:', error);
+        res.status(500).send('Error updating product');
+    }
+});
+
+app.post('/products/delete/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.redirect('/products');
+        }
+
+        // Sales, batches and lots keep the product's id, so it stays while they do
+        const inUse = await getProductUse(product);
+        if (inUse) {
+            return res.status(400).send(`${product.name} can't be deleted: ${inUse}.`);
+        }
+
+        await product.deleteOne();
+        await recordAudit(req, 'Product', 'delete', { before: product });
+        res.redirect('/products');
+    } catch (error) {
+        console.error('Error deleting product:', error);
+        res.status(500).send('Error deleting product');
+    }
+});
+
+// Production Routes
+app.get('/production', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const products = (await Product.find().sort({ name: 1 })).map(p => p.toObject());
+        const batches = await ProductionBatch.find()
+            .sort({ date: -1, createdAt: -1 })
+            .limit(50)
+            .populate('operatorId');
+
+        const todayStart = moment().startOf('day').toDate();
+        const todaysBatches = batches.filter(b => b.date >= todayStart);
+
+        res.render('production/list', {
+            batches: batches.map(b => ({
+                ...b.toObject(),
+                operatorId: b.operatorId ? b.operatorId.toObject() : null
+            })),
+            products,
+            todaysBatchCount: todaysBatches.length,
+            todaysProduced: todaysBatches.reduce((sum, b) => sum + b.goodQuantity, 0),
+            todaysWastage: todaysBatches.reduce((sum, b) => sum + (b.wastage || 0), 0),
+            title: 'Production'
+        });
+    } catch (error) {
+        console.error('Error loading production:', error);
+        res.status(500).send('Error loading production');
+    }
+});
+
+app.get('/production/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const products = (await Product.find().sort({ name: 1 })).map(p => p.toObject());
+        const stock = (await StockItem.find().sort({ name: 1 })).map(s => ({ ...s.toObject(), stockStatus: getStockStatus(s) }));
+        const employees = await Employee.find({ isActive: true }).sort({ name: 1 });
+        const branches = await Branch.find({ isActive: true }).sort({ isMain: -1, name: 1 });
+
+        res.render('production/add', {
+            products: products.map(p => ({ ...p, recipeJson: JSON.stringify(p.recipe || []) })),
+            stock,
+            branches: branches.map(b => b.toObject()),
+            employees: employees.map(e => e.toObject()),
+            title: 'Record Production'
+        });
+    } catch (error) {
+        console.error('Error loading production form:', error);
+        res.status(500).send('Error loading production form');
+    }
+});
+
+app.post('/production/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { productId, quantity, wastage, wastageReason, operatorId, date, expiryDate, notes, materials, branchId } = req.body;
+
+        const product = productId ? await Product.findById(productId) : null;
+        if (!product) {
+            return res.status(400).send('Product not found');
+        }
+
+        const batchQuantity = parseFloat(quantity);
+        const batchWastage = wastage === undefined || wastage === '' ? 0 : parseFloat(wastage);
+        if (!Number.isFinite(batchQuantity) || batchQuantity <= 0) {
+            return res.status(400).send('Enter the quantity made, more than zero');
+        }
+        if (!Number.isFinite(batchWastage) || batchWastage < 0 || batchWastage > batchQuantity) {
+            return res.status(400).send('Wastage must be between zero and the quantity made');
+        }
+
+        // Batches are made at the factory unless another branch is chosen
+        const branch = (mongoose.isValidObjectId(branchId) && await Branch.findOne({ _id: branchId, isActive: true })) ||
+            await Branch.getMain();
+
+        const batchDate = date ? new Date(date) : new Date();
+        if (isNaN(batchDate.getTime())) {
+            return res.status(400).send('Invalid production date');
+        }
+        // Numbered per day from a counter, so batches saved together never share a number
+        const dayKey = moment(batchDate).format('YYMMDD');
+        const seq = await Counter.next(`batch:${dayKey}`);
+
+        // Best before the date given, or the product's shelf life from the production date
+        const bestBefore = expiryDate ? new Date(expiryDate)
+            : product.shelfLifeDays > 0 ? moment(batchDate).add(product.shelfLifeDays, 'days').toDate() : undefined;
+
+        const batch = new ProductionBatch({
+            batchNumber: `B${dayKey}-${String(seq).padStart(2, '0')}`,
+            date: batchDate,
+            productId: product.id,
+            productName: product.name,
+            quantity: batchQuantity,
+            unit: product.unit,
+            wastage: batchWastage,
+            wastageReason,
+            materials: parseRecipe(materials, await StockItem.find()),
+            expiryDate: bestBefore,
+            operatorId: operatorId || undefined,
+            branchId: branch._id,
+            userId: req.session.userId,
+            notes
+        });
+        await batch.save();
+        await recordAudit(req, 'ProductionBatch', 'create', { after: batch });
+
+        await consumeStock(batch.materials.map(m => ({
+            stockItemId: m.stockItemId,
+            quantity: m.quantity,
+            productId: product.id,
+            productName: product.name,
+            productQuantity: batch.quantity
+        })), {
+            source: 'production',
+            batchId: batch._id,
+            branchId: branch._id,
+            userId: req.session.userId,
+            date: batch.date
+        });
+
+        await adjustBranchStock(Product, product.id, branch._id, batch.goodQuantity);
+        if (batch.goodQuantity > 0) {
+            await createLot('product', product, branch._id, batch.goodQuantity, {
+                lotNumber: batch.batchNumber,
+                manufactureDate: batch.date,
+                receivedDate: batch.date,
+                expiryDate: batch.expiryDate,
+                batchId: batch._id,
+                userId: req.session.userId
+            });
+        }
+
+        res.redirect('/production');
+    } catch (error) {
+        console.error('Error recording production:', error);
+        res.status(500).send('Error recording production');
+    }
+});
+
+// Invoice Generation
+const buildPuppeteerLaunchOptions = () => {
+    // retained for fallback; not used by PDFKit path
+    const commonArgs = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
+    const isRender = !!process.env.RENDER;
+    const isWin = process.platform === 'win32';
+    const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH
+        || process.env.CHROMIUM_PATH
+        || (isWin ? 'C:/Program Files/Google/Chrome/Application/chrome.exe' : undefined);
+    return { headless: 'new', args: isRender ? [...commonArgs, '--single-process', '--no-zygote', '--disable-gpu'] : commonArgs, executablePath: executablePath || undefined };
+};
+
+const handleInvoice = async (req, res) => {
+    const saleId = (req.params && req.params.id) || (req.body && req.body.saleId) || (req.query && req.query.saleId);
+    
+    if (!saleId) {
+        return res.status(400).json({ error: 'Sale ID is required' });
+    }
+    
+    try {
+        // Try simple sale first, then complex sale
+        let simple = await SimpleSale.findOne({ _id: saleId, ...salesScope(req) });
+        let sale = simple || await Sale.findOne({ _id: saleId, ...salesScope(req) });
+        
+        if (!sale) {
+            return res.status(404).json({ error: 'Sale not found' });
+        }
+        
+        // Generate PDF with PDFKit (avoids headless browser issues)
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => {
+            const pdf = Buffer.concat(chunks);
+            res.setHeader('Content-Type', 'application/pdf');
+            const code = (simple? simple._id : (sale._id || sale.id)).toString().substring(0,8);
+            res.setHeader('Content-Disposition', `attachment; filename="invoice-${code}.pdf"`);
+            res.send(pdf);
+        });
+
+        // Header
+        const profile = await FactoryProfile.getProfile();
+        doc.fontSize(22).text(profile.name, { align: 'center' });
+        doc.moveDown(0.2);
+        doc.fontSize(10).fillColor('#555');
+        if (profile.tagline) doc.text(profile.tagline, { align: 'center' });
+        if (profile.address) doc.text(profile.address, { align: 'center' });
+        const contact = [profile.phone, profile.email].filter(Boolean).join(' | ');
+        if (contact) doc.text(contact, { align: 'center' });
+        if (profile.gstin) {
+            doc.text(`GSTIN: ${profile.gstin}${profile.stateCode ? ` | State: ${getStateName(profile.stateCode)} (${profile.stateCode})` : ''}`, { align: 'center' });
+        }
+        doc.moveDown(1);
+        doc.fillColor('#000');
+
+        // Invoice meta
+        const invId = sale.invoiceNumber || '-';
+        const invDate = moment((simple? simple.date : sale.date) || (simple? simple.createdAt : sale.createdAt) || new Date()).format('DD-MM-YYYY');
+        const isTaxInvoice = !simple && sale.items.some(item => typeof item.gstRate === 'number');
+        if (isTaxInvoice) {
+            doc.fontSize(16).text('TAX INVOICE', { align: 'center' });
+            doc.moveDown(0.3);
+        }
+        doc.fontSize(14).text(`Invoice #${invId}`);
+        doc.fontSize(10).text(`Date: ${invDate}`);
+        if (!simple && sale.status === 'void') {
+            doc.fontSize(12).fillColor('#C00000').text(`VOID - ${sale.voidReason || 'cancelled'}`);
+            doc.fillColor('#000');
+        }
+        doc.moveDown(0.5);
+
+        // Customer
+        const customerName = (simple? simple.customerName : sale.customerName) || 'Customer';
+        const customerPhone = (simple? simple.customerPhone : sale.customerPhone) || '';
+        const customerAddress = sale && sale.customerAddress ? sale.customerAddress : '';
+        doc.fontSize(12).text(`Customer: ${customerName}`);
+        if (customerPhone) doc.text(`Phone: ${customerPhone}`);
+        if (customerAddress) doc.text(`Address: ${customerAddress}`);
+        if (!simple && sale.customerGstin) doc.text(`GSTIN: ${sale.customerGstin}`);
+        if (isTaxInvoice && sale.placeOfSupply) {
+            doc.text(`Place of Supply: ${getStateName(sale.placeOfSupply)} (${sale.placeOfSupply})`);
+        }
+        doc.moveDown(1);
+
+        // Quantity with the unit it was sold in. Older sales have no unit and
+        // were sold in the product's own unit.
+        const productUnits = {};
+        if (!simple) {
+            (await Product.find({ _id: { $in: sale.items.map(item => item.productId) } }).select('unit'))
+                .forEach(product => { productUnits[product.id] = product.unit; });
+        }
+        const formatQuantity = (item) => `${Number(item.quantity) || 0} ${item.unit || productUnits[item.productId] || 'kg'}`;
+
+        // Lot numbers and best-before dates of the goods sold from stock
+        const printLots = (x, y, width) => {
+            const lines = sale.items
+                .filter(item => item.lots && item.lots.length > 0)
+                .map(item => `${item.productName}: ` + item.lots
+                    .map(lot => lot.lotNumber + (lot.expiryDate ? ` (best before ${moment(lot.expiryDate).format('DD MMM YYYY')})` : ''))
+                    .join(', '));
+            if (lines.length > 0) {
+                doc.fontSize(9).text(`Lots: ${lines.join('; ')}`, x, y, { width });
+            }
+        };
+
+        // Items/Amounts with proper table layout
+        if (!simple && sale && sale.items && sale.items.some(item => typeof item.gstRate === 'number')) {
+            // GST invoice: HSN, taxable value and tax per line
+            const columns = [
+                { label: 'Product', width: 110, align: 'left' },
+                { label: 'HSN', width: 45, align: 'left' },
+                { label: 'Qty', width: 65, align: 'right' },
+                { label: 'Rate', width: 55, align: 'right' },
+                { label: 'Taxable', width: 65, align: 'right' },
+                { label: 'GST%', width: 40, align: 'right' },
+                { label: 'Tax', width: 60, align: 'right' },
+                { label: 'Total', width: 75, align: 'right' }
+            ];
+            const tableX = 40;
+            const tableW = columns.reduce((sum, col) => sum + col.width, 0);
+            const rowH = 22;
+
+            const drawRow = (y, values) => {
+                doc.moveTo(tableX, y).lineTo(tableX + tableW, y).stroke();
+                let x = tableX;
+                columns.forEach((col, i) => {
+                    doc.text(values[i], x + 4, y + 7, { width: col.width - 8, align: col.align });
+                    doc.moveTo(x, y).lineTo(x, y + rowH).stroke();
+                    x += col.width;
+                });
+                doc.moveTo(tableX + tableW, y).lineTo(tableX + tableW, y + rowH).stroke();
+            };
+
+            const tableTop = doc.y + 5;
+            doc.save();
+            doc.rect(tableX, tableTop, tableW, rowH).fill('#F2F2F2');
+            doc.restore();
+            doc.fontSize(9).fillColor('#000');
+            drawRow(tableTop, columns.map(col => col.label));
+
+            let y = tableTop + rowH;
+            sale.items.forEach((item) => {
+                const taxable = Number.isFinite(item.taxableValue) ? item.taxableValue : Number(item.totalAmount) || 0;
+                const lineTax = (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0);
+                drawRow(y, [
+                    item.productName || 'Product',
+                    item.hsnCode || '-',
+                    formatQuantity(item),
+                    (Number(item.price) || 0).toFixed(2),
+                    taxable.toFixed(2),
+                    `${item.gstRate || 0}%`,
+                    lineTax.toFixed(2),
+                    (taxable + lineTax).toFixed(2)
+                ]);
+                y += rowH;
+            });
+            doc.moveTo(tableX, y).lineTo(tableX + tableW, y).stroke();
+
+            // Summary box (right aligned)
+            const subtotal = Number(sale.subtotal) || 0;
+            const discount = Number(sale.discount) || 0;
+            const taxable = Number(sale.taxableAmount) || Math.max(0, subtotal - discount);
+            const tax = Number(sale.tax) || 0;
+            const total = Number(sale.totalAmount) || taxable + tax;
+            const paid = getAmountPaid(sale);
+
+            const summary = [['Subtotal:', subtotal.toFixed(2)]];
+            if (discount > 0) summary.push(['Discount:', `-${discount.toFixed(2)}`]);
+            summary.push(['Taxable Value:', taxable.toFixed(2)]);
+            if (sale.interState) {
+                summary.push(['IGST:', (sale.igst || 0).toFixed(2)]);
+            } else {
+                summary.push(['CGST:', (sale.cgst || 0).toFixed(2)]);
+                summary.push(['SGST:', (sale.sgst || 0).toFixed(2)]);
+            }
+            summary.push(['Total:', total.toFixed(2)]);
+            summary.push(['Paid:', paid.toFixed(2)]);
+            summary.push(['Balance Due:', Math.max(0, total - paid).toFixed(2)]);
+
+            const boxX = 335;
+            let boxY = y + 10;
+            doc.fontSize(10);
+            summary.forEach(([label, value]) => {
+                doc.text(label, boxX, boxY, { width: 110, align: 'left' });
+                doc.text(value, boxX + 110, boxY, { width: 110, align: 'right' });
+                boxY += 16;
+            });
+
+            doc.fontSize(9).text(`Amount in words: ${amountInWords(total)}`, tableX, boxY + 6, { width: tableW });
+            doc.text(`Tax amount in words: ${amountInWords(tax)}`, tableX, doc.y + 2, { width: tableW });
+
+            // GST summary grouped by HSN and rate, as required on tax invoices
+            const groups = new Map();
+            sale.items.forEach((item) => {
+                const key = `${item.hsnCode || '-'}|${item.gstRate || 0}`;
+                const group = groups.get(key) || { hsnCode: item.hsnCode || '-', gstRate: item.gstRate || 0, taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+                group.taxable += Number.isFinite(item.taxableValue) ? item.taxableValue : Number(item.totalAmount) || 0;
+                group.cgst += item.cgst || 0;
+                group.sgst += item.sgst || 0;
+                group.igst += item.igst || 0;
+                groups.set(key, group);
+            });
+
+            const taxColumns = sale.interState
+                ? [['HSN', 100], ['GST%', 60], ['Taxable', 120], ['IGST', 120], ['Total Tax', 115]]
+                : [['HSN', 90], ['GST%', 50], ['Taxable', 95], ['CGST', 90], ['SGST', 90], ['Total Tax', 100]];
+            const taxTableW = taxColumns.reduce((sum, [, width]) => sum + width, 0);
+            const drawTaxRow = (rowY, values) => {
+                doc.moveTo(tableX, rowY).lineTo(tableX + taxTableW, rowY).stroke();
+                let x = tableX;
+                taxColumns.forEach(([, width], i) => {
+                    doc.text(values[i], x + 4, rowY + 7, { width: width - 8, align: i < 2 ? 'left' : 'right' });
+                    doc.moveTo(x, rowY).lineTo(x, rowY + rowH).stroke();
+                    x += width;
+                });
+                doc.moveTo(tableX + taxTableW, rowY).lineTo(tableX + taxTableW, rowY + rowH).stroke();
+            };
+
+            let taxY = doc.y + 12;
+            doc.save();
+            doc.rect(tableX, taxY, taxTableW, rowH).fill('#F2F2F2');
+            doc.restore();
+            doc.fillColor('#000');
+            drawTaxRow(taxY, taxColumns.map(([label]) => label));
+            taxY += rowH;
+            groups.forEach((group) => {
+                const split = sale.interState
+                    ? [group.igst.toFixed(2)]
+                    : [group.cgst.toFixed(2), group.sgst.toFixed(2)];
+                drawTaxRow(taxY, [
+                    group.hsnCode,
+                    `${group.gstRate}%`,
+                    group.taxable.toFixed(2),
+                    ...split,
+                    (group.cgst + group.sgst + group.igst).toFixed(2)
+                ]);
+                taxY += rowH;
+            });
+            doc.moveTo(tableX, taxY).lineTo(tableX + taxTableW, taxY).stroke();
+            doc.text('', tableX, taxY + 10);
+            printLots(tableX, taxY + 10, tableW);
+        } else if (!simple && sale && sale.items && sale.items.length > 0) {
+            const tableTop = doc.y + 5;
+            const colX = [40, 240, 320, 420];
+            const colW = [200, 80, 100, 120];
+            const rowH = 22;
+
+            // Header background
+            doc.save();
+            doc.rect(colX[0], tableTop, colW[0] + colW[1] + colW[2] + colW[3], rowH).fill('#F2F2F2');
+            doc.restore();
+
+            // Header text
+            doc.fontSize(11).fillColor('#000');
+            doc.text('Product', colX[0] + 6, tableTop + 6);
+            doc.text('Qty', colX[1] + 6, tableTop + 6);
+            doc.text('Unit Price', colX[2] + 6, tableTop + 6);
+            doc.text('Line Total', colX[3] + 6, tableTop + 6);
+
+            // Header border
+            doc.moveTo(colX[0], tableTop)
+               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop)
+               .stroke();
+            doc.moveTo(colX[0], tableTop + rowH)
+               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop + rowH)
+               .stroke();
+
+            // Vertical header lines
+            let xAcc = colX[0];
+            [colW[0], colW[1], colW[2], colW[3]].forEach((w) => {
+                doc.moveTo(xAcc, tableTop)
+                   .lineTo(xAcc, tableTop + rowH)
+                   .stroke();
+                xAcc += w;
+            });
+            // Right-most line
+            doc.moveTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop)
+               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop + rowH)
+               .stroke();
+
+            // Rows
+            let y = tableTop + rowH;
+            doc.fontSize(10);
+            sale.items.forEach((item) => {
+                const name = item.productName || 'Product';
+                const qty = Number(item.quantity) || 0;
+                const price = Number(item.price) || 0;
+                const lineTotal = Number.isFinite(Number(item.totalAmount)) ? Number(item.totalAmount) : qty * price;
+
+                // Row border top
+                doc.moveTo(colX[0], y)
+                   .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y)
+                   .stroke();
+
+                // Text
+                doc.text(name, colX[0] + 6, y + 6, { width: colW[0] - 12 });
+                doc.text(formatQuantity(item), colX[1] + 6, y + 6, { width: colW[1] - 12 });
+                doc.text(`${price.toFixed(2)}`, colX[2] + 6, y + 6, { width: colW[2] - 12, align: 'right' });
+                doc.text(`${lineTotal.toFixed(2)}`, colX[3] + 6, y + 6, { width: colW[3] - 12, align: 'right' });
+
+                // Vertical lines for row
+                let x = colX[0];
+                [colW[0], colW[1], colW[2], colW[3]].forEach((w) => {
+                    doc.moveTo(x, y)
+                       .lineTo(x, y + rowH)
+                       .stroke();
+                    x += w;
+                });
+                // Right-most line
+                doc.moveTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y)
+                   .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y + rowH)
+                   .stroke();
+
+                y += rowH;
+            });
+
+            // Bottom border
+            doc.moveTo(colX[0], y)
+               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y)
+               .stroke();
+
+            doc.moveDown(1.2);
+
+            // Summary box (right aligned)
+            const subtotal = Number(sale.subtotal) || 0;
+            const discount = Number(sale.discount) || 0;
+            const tax = Number(sale.tax) || 0;
+            const total = Number(sale.totalAmount) || Math.max(0, subtotal - discount + tax);
+
+            const boxW = 240;
+            const boxX = 400;
+            let boxY = y + 10;
+            const lineGap = 18;
+            doc.fontSize(11);
+            doc.text('Subtotal:', boxX, boxY, { width: 120, align: 'left' });
+            doc.text(`${subtotal.toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
+            boxY += lineGap;
+            if (discount > 0) {
+                doc.text('Discount:', boxX, boxY, { width: 120, align: 'left' });
+                doc.text(`-${discount.toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
+                boxY += lineGap;
+            }
+            if (tax > 0) {
+                doc.text('Tax:', boxX, boxY, { width: 120, align: 'left' });
+                doc.text(`${tax.toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
+                boxY += lineGap;
+            }
+            doc.fontSize(12).text('Total:', boxX, boxY + 4, { width: 120, align: 'left' });
+            doc.fontSize(12).text(`${total.toFixed(2)}`, boxX + 120, boxY + 4, { width: 120, align: 'right' });
+
+            // Payments received so far and what is still owed
+            const paid = getAmountPaid(sale);
+            boxY += lineGap + 6;
+            doc.fontSize(11).text('Paid:', boxX, boxY, { width: 120, align: 'left' });
+            doc.text(`${paid.toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
+            boxY += lineGap;
+            doc.fontSize(12).text('Balance Due:', boxX, boxY, { width: 120, align: 'left' });
+            doc.text(`${Math.max(0, total - paid).toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
+            printLots(colX[0], boxY + lineGap + 6, 515);
+        } else {
+            const amt = Number(simple.amount) || 0;
+
+            const tableTop = doc.y + 5;
+            const colX = [40, 360];
+            const colW = [320, 180];
+            const rowH = 22;
+
+            // Header background
+            doc.save();
+            doc.rect(colX[0], tableTop, colW[0] + colW[1], rowH).fill('#F2F2F2');
+            doc.restore();
+
+            // Header
+            doc.fontSize(11).fillColor('#000');
+            doc.text('Description', colX[0] + 6, tableTop + 6);
+            doc.text('Amount', colX[1] + 6, tableTop + 6, { width: colW[1] - 12, align: 'right' });
+
+            // Borders
+            doc.moveTo(colX[0], tableTop).lineTo(colX[0] + colW[0] + colW[1], tableTop).stroke();
+            doc.moveTo(colX[0], tableTop + rowH).lineTo(colX[0] + colW[0] + colW[1], tableTop + rowH).stroke();
+            doc.moveTo(colX[0], tableTop).lineTo(colX[0], tableTop + rowH).stroke();
+            doc.moveTo(colX[0] + colW[0], tableTop).lineTo(colX[0] + colW[0], tableTop + rowH).stroke();
+            doc.moveTo(colX[0] + colW[0] + colW[1], tableTop).lineTo(colX[0] + colW[0] + colW[1], tableTop + rowH).stroke();
+
+            // Row
+            const y = tableTop + rowH;
+            doc.moveTo(colX[0], y).lineTo(colX[0] + colW[0] + colW[1], y).stroke();
+            doc.text('Sale', colX[0] + 6, y + 6);
+            doc.text(`${amt.toFixed(2)}`, colX[1] + 6, y + 6, { width: colW[1] - 12, align: 'right' });
+            // Bottom border
+            doc.moveTo(colX[0], y + rowH).lineTo(colX[0] + colW[0] + colW[1], y + rowH).stroke();
+
+            // Total bold line
+            doc.moveDown(1.2);
+            doc.fontSize(12).text('Total:', colX[1] - 80, y + rowH + 10, { width: 80, align: 'left' });
+            doc.fontSize(12).text(`${amt.toFixed(2)}`, colX[1], y + rowH + 10, { width: colW[1], align: 'right' });
+        }
+
+        // Footer (single centered, nothing at right side)
+        doc.moveDown(2);
+        doc.fontSize(10).fillColor('#555').text('Thank you for your business!', { align: 'center' });
+        doc.fontSize(9).text(`${profile.name} - Quality Sweets Since Generations`, { align: 'center' });
+
+        doc.end();
+        
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+};
+
+app.post('/getInvoice', requirePermission('recordSales'), handleInvoice);
+app.get('/getInvoice', requirePermission('recordSales'), handleInvoice);
+app.get('/sales/invoice/:id', requirePermission('recordSales'), handleInvoice);
+
+// Reporting Routes
+app.get('/reports', requirePermission('viewReports'), async (req, res) => {
+    try {
+        const products = (await Product.find().sort({ name: 1 })).map(p => p.toObject());
+        const branches = await Branch.find().sort({ isMain: -1, name: 1 });
+        const stockItems = await StockItem.find().select('averageCost');
+        const mainBranch = branches.find(b => b.isMain);
+
+        // Everything below can be narrowed to one branch; the comparison always covers all
+        const branch = branches.find(b => String(b._id) === req.query.branch);
+        const stock = (await StockItem.find().sort({ name: 1 })).map(item => ({
+            ...item.toObject(),
+            quantity: branch ? getBranchQuantity(item, branch._id) : item.quantity,
+            stockStatus: getStockStatus(item)
+        }));
+    
+        const [allSimpleSales, allMultiSales] = await Promise.all([
+            SimpleSale.find().sort({ createdAt: -1 }),
+            // Voided sales are kept for the record only
+            Sale.find({ status: { $ne: 'void' } }).sort({ createdAt: -1 })
+        ]);
+
+        // Sales from before branches existed count towards the factory
+        const saleBranchId = (sale) => String(sale.branchId || (mainBranch && mainBranch._id));
+        const inBranch = (sale) => !branch || saleBranchId(sale) === String(branch._id);
+        const simpleSales = allSimpleSales.filter(inBranch);
+        const multiSales = allMultiSales.filter(inBranch);
+
+        const allRevenue = allSimpleSales.reduce((sum, s) => sum + s.amount, 0) +
+            allMultiSales.reduce((sum, s) => sum + s.totalAmount, 0);
+        const branchComparison = branches.map(b => {
+            const mine = (sale) => saleBranchId(sale) === String(b._id);
+            const simple = allSimpleSales.filter(mine);
+            const multi = allMultiSales.filter(mine);
+            const revenue = roundMoney(simple.reduce((sum, s) => sum + s.amount, 0) + multi.reduce((sum, s) => sum + s.totalAmount, 0));
+            const orders = simple.length + multi.length;
+            return {
+                _id: b._id,
+                name: b.name,
+                revenue,
+                orders,
+                quantity: Math.round(multi.reduce((sum, s) => sum + s.items.reduce((q, item) => q + getBaseQuantity(item), 0), 0) * 1000) / 1000,
+                averageOrder: orders ? Math.round(revenue / orders) : 0,
+                share: allRevenue ? Math.round(revenue / allRevenue * 100) : 0,
+                selected: b === branch
+            };
+        });
+
+        const totalSales = simpleSales.reduce((sum, s) => sum + s.amount, 0) +
+            multiSales.reduce((sum, s) => sum + s.totalAmount, 0);
+        const totalSalesCount = simpleSales.length + multiSales.length;
+        const totalQuantity = Math.round(multiSales.reduce((sum, sale) =>
+            sum + sale.items.reduce((itemSum, item) => itemSum + getBaseQuantity(item), 0), 0) * 1000) / 1000;
+
+        // Cost of goods sold: the unit cost fixed on each line at the time of sale,
+        // or today's recipe cost for sales recorded before costs were kept.
+        // Revenue for margins is before GST and after discount.
+        const currentCosts = {};
+        products.forEach(p => { currentCosts[p.id] = getProductCost(p, stockItems); });
+        const lineRevenue = (item) => (typeof item.taxableValue === 'number' ? item.taxableValue : item.totalAmount);
+        const lineCost = (item) => {
+            const unitCost = typeof item.unitCost === 'number' ? item.unitCost : currentCosts[item.productId];
+            return typeof unitCost === 'number' ? getBaseQuantity(item) * unitCost : null;
+        };
+        const saleCost = (sale) => sale.items.reduce((sum, item) => sum + (lineCost(item) || 0), 0);
+        const saleRevenue = (sale) => sale.items.reduce((sum, item) => sum + lineRevenue(item), 0);
+
+        const productTotals = {};
+        multiSales.forEach(sale => sale.items.forEach(item => {
+            const product = products.find(p => p.id === item.productId);
+            const entry = productTotals[item.productName] ||
+                { quantity: 0, unit: product ? product.unit : 'kg', amount: 0, revenue: 0, cost: 0, costed: true };
+            const cost = lineCost(item);
+            entry.quantity = Math.round((entry.quantity + getBaseQuantity(item)) * 1000) / 1000;
+            entry.amount += item.totalAmount;
+            entry.revenue += lineRevenue(item);
+            entry.cost += cost || 0;
+            entry.costed = entry.costed && cost !== null;
+            productTotals[item.productName] = entry;
+        }));
+        const productAmount = Object.values(productTotals).reduce((sum, p) => sum + p.amount, 0);
+        Object.values(productTotals).forEach(p => {
+            p.percentage = productAmount ? Math.round(p.amount / productAmount * 100) : 0;
+            p.cost = roundMoney(p.cost);
+            Object.assign(p, getMargin(p.revenue, p.cost));
+        });
+
+        const netRevenue = roundMoney(multiSales.reduce((sum, sale) => sum + saleRevenue(sale), 0));
+        const costOfGoods = roundMoney(multiSales.reduce((sum, sale) => sum + saleCost(sale), 0));
+        const topProductName = Object.keys(productTotals)
+            .sort((a, b) => productTotals[b].amount - productTotals[a].amount)[0];
+
+        const recentSales = [
+            ...simpleSales.map(s => ({
+                sortDate: s.createdAt || s.date,
+                date: moment(s.date).format('YYYY-MM-DD'),
+                customerName: s.customerName,
+                productName: 'Sale',
+                quantity: 1,
+                totalAmount: s.amount
+            })),
+            ...multiSales.map(s => ({
+                sortDate: s.createdAt || s.date,
+                date: moment(s.date).format('YYYY-MM-DD'),
+                customerName: s.customerName,
+                productName: s.items.map(item => item.productName).join(', '),
+                quantity: Math.round(s.items.reduce((sum, item) => sum + getBaseQuantity(item), 0) * 1000) / 1000,
+                totalAmount: s.totalAmount,
+                hasMargin: true,
+                ...getMargin(saleRevenue(s), saleCost(s))
+            }))
+        ].sort((a, b) => new Date(b.sortDate) - new Date(a.sortDate)).slice(0, 10);
+    
+        res.render('reports/dashboard', {
+            branch: branch ? branch.toObject() : null,
+            branches: branchComparison,
+            sales: recentSales,
+            products,
+            stock,
+            totalSales,
+            totalQuantity,
+            totalSalesCount,
+            profit: multiSales.length ? { netRevenue, costOfGoods, ...getMargin(netRevenue, costOfGoods) } : null,
+            salesByProduct: topProductName ? productTotals : null,
+            topProduct: topProductName ? { name: topProductName, ...productTotals[topProductName] } : null,
+            averageOrder: totalSalesCount ? {
+                amount: Math.round(totalSales / totalSalesCount),
+                quantity: multiSales.length ? Math.round(totalQuantity / multiSales.length * 1000) / 1000 : 1
+            } : null,
+            lowStockItems: stock.filter(item => item.stockStatus === 'low'),
+            title: 'Reports & Analytics'
+        });
+    } catch (error) {
+        console.error('Error loading reports:', error);
+        res.status(500).send('Error loading reports');
+    }
+});
+
+// Multiple Product Sales Routes
+// Add sale (multi-product with add another product option)
+const renderSaleAdd = async (res, branch, products, error) => {
+    const [profile, branches] = await Promise.all([
+        FactoryProfile.getProfile(),
+        Branch.find({ isActive: true }).sort({ isMain: -1, name: 1 })
+    ]);
+    res.status(error ? 400 : 200).render('sales/add-multiple', {
+        products,
+        branch: branch.toObject(),
+        branches: branches.map(b => ({ ...b.toObject(), selected: b._id.equals(branch._id) })),
+        gstStates: GST_STATES,
+        factoryStateCode: profile.stateCode,
+        error,
+        title: 'Add Sale'
+    });
+};
+
+const showSaleAdd = async (req, res) => {
+    try {
+        const branch = await getSaleBranch(req, req.query.branch);
+        if (!branch) {
+            return res.status(400).send('Branch not found');
+        }
+        const products = (await Product.find().sort({ name: 1 })).map(p => p.toObject());
+        await renderSaleAdd(res, branch, productsForBranch(products, branch._id));
+    } catch (error) {
+        console.error('Error loading sale form:', error);
+        res.status(500).send('Error loading sale form');
+    }
+};
+
+app.get('/sales/add-multiple', requirePermission('recordSales'), showSaleAdd);
+
+app.get('/sales/add', requirePermission('recordSales'), showSaleAdd);
+
+app.post('/sales/add', requirePermission('recordSales'), async (req, res) => {
+    try {
+        const { 
+            customerName, 
+            customerPhone, 
+            customerEmail, 
+            customerAddress,
+            customerId,
+            customerGstin,
+            placeOfSupply,
+            products,
+            discount,
+            paymentMethod,
+            paymentStatus,
+            amountPaid,
+            paymentReference,
+            date,
+            notes,
+            allowShortfall,
+            branchId
+        } = req.body;
+        
+        const branch = await getSaleBranch(req, branchId);
+        if (!branch) {
+            return res.status(400).send('Branch not found');
+        }
+        const productCatalog = productsForBranch((await Product.find().sort({ name: 1 })).map(p => p.toObject()), branch._id);
+        const { items, error: itemsError } = parseSaleItems(products, productCatalog);
+        if (itemsError) {
+            return renderSaleAdd(res, branch, productCatalog, itemsError);
+        }
+        if (items.length === 0) {
+            return renderSaleAdd(res, branch, productCatalog, 'Add at least one product to the sale.');
+        }
+        const subtotal = items.reduce((sum, item) => sum + item.totalAmount, 0);
+
+        // Block sales that exceed finished goods unless the counter confirmed it
+        const shortfalls = getFinishedGoodsShortfalls(items, productCatalog);
+        if (shortfalls.length > 0 && !allowShortfall) {
+            return renderSaleAdd(res, branch, productCatalog, `Not enough finished goods at ${branch.name}: ` + shortfalls
+                .map(s => `${s.productName} (need ${s.quantity} ${s.unit}, have ${s.available})`)
+                .join(', ') + '. Tick "sell anyway" to record it as made to order.');
+        }
+
+        const gstin = (customerGstin || '').trim().toUpperCase();
+        if (gstin && !GSTIN_PATTERN.test(gstin)) {
+            return renderSaleAdd(res, branch, productCatalog, `${gstin} is not a valid GSTIN.`);
+        }
+
+        if (paymentMethod && !SALE_PAYMENT_METHODS.includes(paymentMethod)) {
+            return renderSaleAdd(res, branch, productCatalog, 'Choose a payment method.');
+        }
+
+        // Money taken at the counter follows the same rule as later payments
+        const referenceError = getSalePayment(paymentStatus, amountPaid, subtotal).amountPaid > 0
+            ? getPaymentReferenceError(paymentMethod, paymentReference) : null;
+        if (referenceError) {
+            return renderSaleAdd(res, branch, productCatalog, referenceError);
+        }
+
+        const customer = await findOrCreateCustomer(req.session.userId, {
+            customerId,
+            name: customerName,
+            phone: customerPhone,
+            email: customerEmail,
+            address: customerAddress,
+            gstin,
+            stateCode: placeOfSupply || getStateFromGstin(gstin)
+        });
+
+        const profile = await FactoryProfile.getProfile();
+        const supply = getPlaceOfSupply(profile, placeOfSupply, gstin || customer.gstin, customer);
+
+        const disc = Math.min(parseFloat(discount) || 0, subtotal);
+        const gst = applyGst(items, disc, supply.interState);
+        const totalAmount = roundMoney(gst.taxableAmount + gst.tax);
+
+        const saleDate = date ? new Date(date) : new Date();
+
+        const sale = new Sale({
+            userId: req.session.userId,
+            branchId: branch._id,
+            invoiceNumber: await nextInvoiceNumber(saleDate),
+            customerId: customer._id,
+            customerName,
+            customerPhone,
+            customerAddress: customerAddress || customer.address,
+            customerGstin: gstin || customer.gstin,
+            placeOfSupply: supply.placeOfSupply,
+            interState: supply.interState,
+            items,
+            subtotal,
+            discount: disc,
+            ...gst,
+            totalAmount,
+            paymentMethod: paymentMethod || 'cash',
+            date: saleDate,
+            notes
+        });
+
+        // Whatever was received at the counter is recorded as the sale's first payment
+        const initial = getSalePayment(paymentStatus, amountPaid, totalAmount);
+        sale.paymentStatus = initial.paymentStatus;
+        sale.amountPaid = initial.amountPaid;
+        sale.amountDue = Math.max(0, Math.round((totalAmount - initial.amountPaid) * 100) / 100);
+        await sale.save();
+
+        if (initial.amountPaid > 0) {
+            const payment = await Payment.create({
+                userId: req.session.userId,
+                saleId: sale._id,
+                customerId: customer._id,
+                amount: initial.amountPaid,
+                method: sale.paymentMethod,
+                date: sale.date,
+                reference: paymentReference,
+                notes: 'Received at time of sale'
+            });
+            await recordAudit(req, 'Payment', 'create', { after: payment, label: sale.invoiceNumber });
+        }
+
+        // The sale stands even if stock can't be updated
+        try {
+            await deductFinishedGoods(sale.items, {
+                source: 'sale',
+                saleId: sale._id,
+                branchId: sale.branchId,
+                userId: req.session.userId,
+                date: sale.date
+            });
+            await sale.save();
+        } catch (error) {
+            console.error('Error deducting stock for sale:', error);
+        }
+        await recordAudit(req, 'Sale', 'create', { after: sale });
+
+        res.redirect('/sales');
+    } catch (error) {
+        console.error('Error creating sale:', error);
+        res.status(500).send('Failed to save sale');
+    }
+});
+
+// Finished goods on hand as they were before this sale, so an edit can reuse its own stock
+const withSaleStockReturned = (productCatalog, sale) => productCatalog.map(product => {
+    const returned = sale.items
+        .filter(item => item.productId === product.id)
+        .reduce((sum, item) => sum + (item.fromStock || 0), 0);
+    return { ...product, finishedStock: Math.round(((product.finishedStock || 0) + returned) * 1000) / 1000 };
+});
+
+const renderSaleEdit = async (res, sale, productCatalog, error) => {
+    const plainSale = sale.toObject();
+    const [profile, branch] = await Promise.all([
+        FactoryProfile.getProfile(),
+        sale.branchId ? Branch.findById(sale.branchId) : Branch.getMain()
+    ]);
+    res.status(error ? 400 : 200).render('sales/edit', {
+        sale: {
+            ...plainSale,
+            id: sale._id.toString(),
+            amountPaid: getAmountPaid(sale),
+            date: moment(sale.date).format('YYYY-MM-DD')
+        },
+        products: withSaleStockReturned(productCatalog, sale),
+        branch: branch ? branch.toObject() : null,
+        gstStates: GST_STATES,
+        factoryStateCode: profile.stateCode,
+        error,
+        title: 'Edit Sale'
+    });
+};
+
+app.get('/sales/edit/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const sale = await Sale.findById(req.params.id);
+        if (!sale) {
+            return res.status(404).send('Sale not found');
+        }
+        if (sale.status === 'void') {
+            return res.status(400).send('Voided sales cannot be edited');
+        }
+
+        const branchId = sale.branchId || (await Branch.getMain())._id;
+        const productCatalog = productsForBranch((await Product.find().sort({ name: 1 })).map(p => p.toObject()), branchId);
+        await renderSaleEdit(res, sale, productCatalog);
+    } catch (error) {
+        console.error('Error loading sale:', error);
+        res.status(500).send('Error loading sale');
+    }
+});
+
+app.post('/sales/edit/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const sale = await Sale.findById(req.params.id);
+        if (!sale) {
+            return res.status(404).send('Sale not found');
+        }
+        if (sale.status === 'void') {
+            return res.status(400).send('Voided sales cannot be edited');
+        }
+        const before = sale.toObject();
+
+        const {
+            customerName,
+            customerPhone,
+            customerAddress,
+            customerGstin,
+            placeOfSupply,
+            products,
+            discount,
+            paymentMethod,
+            date,
+            notes,
+            allowShortfall
+        } = req.body;
+
+        // Edits stay at the branch the sale was made at
+        if (!sale.branchId) sale.branchId = (await Branch.getMain())._id;
+        const productCatalog = productsForBranch((await Product.find().sort({ name: 1 })).map(p => p.toObject()), sale.branchId);
+        const { items, error: itemsError } = parseSaleItems(products, productCatalog, sale.items);
+        if (itemsError) {
+            return renderSaleEdit(res, sale, productCatalog, itemsError);
+        }
+        if (items.length === 0) {
+            return renderSaleEdit(res, sale, productCatalog, 'Add at least one product to the sale.');
+        }
+
+        const shortfalls = getFinishedGoodsShortfalls(items, withSaleStockReturned(productCatalog, sale));
+        if (shortfalls.length > 0 && !allowShortfall) {
+            return renderSaleEdit(res, sale, productCatalog, 'Not enough finished goods: ' + shortfalls
+                .map(s => `${s.productName} (need ${s.quantity} ${s.unit}, have ${s.available})`)
+                .join(', ') + '. Tick "sell anyway" to record it as made to order.');
+        }
+
+        const gstin = (customerGstin || '').trim().toUpperCase();
+        if (gstin && !GSTIN_PATTERN.test(gstin)) {
+            return renderSaleEdit(res, sale, productCatalog, `${gstin} is not a valid GSTIN.`);
+        }
+        if (paymentMethod && !SALE_PAYMENT_METHODS.includes(paymentMethod)) {
+            return renderSaleEdit(res, sale, productCatalog, 'Choose a payment method.');
+        }
+
+        // Put the original quantities back before taking the new ones out
+        await restoreSaleStock(sale, req.session.userId, `Invoice ${sale.invoiceNumber} edited`);
+
+        const customer = await findOrCreateCustomer(req.session.userId, {
+            name: customerName,
+            phone: customerPhone,
+            address: customerAddress,
+            gstin,
+            stateCode: placeOfSupply || getStateFromGstin(gstin)
+        });
+
+        const profile = await FactoryProfile.getProfile();
+        const supply = getPlaceOfSupply(profile, placeOfSupply, gstin, customer);
+
+        const subtotal = items.reduce((sum, item) => sum + item.totalAmount, 0);
+        const disc = Math.min(parseFloat(discount) || 0, subtotal);
+        const gst = applyGst(items, disc, supply.interState);
+
+        // Keep what was already received before the total changes
+        await ensureOpeningPayment(sale);
+
+        sale.customerId = customer._id;
+        sale.customerName = customerName;
+        sale.customerPhone = customerPhone;
+        sale.customerAddress = customerAddress;
+        sale.customerGstin = gstin || undefined;
+        sale.placeOfSupply = supply.placeOfSupply;
+        sale.interState = supply.interState;
+        sale.items = items;
+        sale.subtotal = subtotal;
+        sale.discount = disc;
+        sale.set(gst);
+        sale.totalAmount = roundMoney(gst.taxableAmount + gst.tax);
+        sale.paymentMethod = paymentMethod || sale.paymentMethod;
+        await refreshSalePayments(sale);
+        sale.date = date ? new Date(date) : sale.date;
+        sale.notes = notes;
+        sale.updatedBy = req.session.userId;
+
+        await deductFinishedGoods(sale.items, {
+            source: 'sale',
+            saleId: sale._id,
+            branchId: sale.branchId,
+            userId: req.session.userId,
+            date: sale.date
+        });
+        await sale.save();
+        await Payment.updateMany({ saleId: sale._id }, { $set: { customerId: sale.customerId } });
+        await recordAudit(req, 'Sale', 'update', { before, after: sale });
+
+        res.redirect('/sales');
+    } catch (error) {
+        console.error('Error updating sale:', error);
+        res.status(500).send('Error updating sale');
+    }
+});
+
+// Sales are never deleted: voiding keeps the invoice number and returns the stock
+app.post('/sales/void/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const sale = await Sale.findById(req.params.id);
+        if (!sale) {
+            return res.status(404).send('Sale not found');
+        }
+
+        const reason = (req.body.reason || '').trim();
+        if (!reason) {
+            return res.status(400).send('A reason is required to void a sale');
+        }
+
+        if (sale.status !== 'void') {
+            const before = sale.toObject();
+            await restoreSaleStock(sale, req.session.userId, `Invoice ${sale.invoiceNumber} voided: ${reason}`);
+
+            sale.status = 'void';
+            sale.voidedAt = new Date();
+            sale.voidedBy = req.session.userId;
+            sale.voidReason = reason;
+            await sale.save();
+            await recordAudit(req, 'Sale', 'update', { before, after: sale });
+        }
+
+        res.redirect('/sales');
+    } catch (error) {
+        console.error('Error voiding sale:', error);
+        res.status(500).send('Error voiding sale');
+    }
+});
+
+// Sale Payment Routes
+const renderSalePayments = async (res, sale, error) => {
+    const payments = await Payment.find({ saleId: sale._id }).sort({ date: 1, createdAt: 1 });
+    const amountPaid = getAmountPaid(sale);
+
+    res.status(error ? 400 : 200).render('sales/payments', {
+        sale: {
+            ...sale.toObject(),
+            amountPaid,
+            amountDue: Math.max(0, Math.round((sale.totalAmount - amountPaid) * 100) / 100),
+            isVoid: sale.status === 'void'
+        },
+        payments: payments.map(p => p.toObject()),
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: `Payments - Invoice #${sale.invoiceNumber}`
+    });
+};
+
+app.get('/sales/payments/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const sale = await Sale.findById(req.params.id);
+        if (!sale) {
+            return res.status(404).send('Sale not found');
+        }
+
+        await ensureOpeningPayment(sale);
+        await renderSalePayments(res, sale);
+    } catch (error) {
+        console.error('Error loading payments:', error);
+        res.status(500).send('Error loading payments');
+    }
+});
+
+app.post('/sales/payments/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const sale = await Sale.findById(req.params.id);
+        if (!sale) {
+            return res.status(404).send('Sale not found');
+        }
+        if (sale.status === 'void') {
+            return res.status(400).send('Payments cannot be recorded against a voided sale');
+        }
+
+        const { amount, method, date, reference, notes } = req.body;
+        const paymentAmount = Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+        await ensureOpeningPayment(sale);
+        await refreshSalePayments(sale);
+
+        let error = null;
+        if (paymentAmount <= 0) {
+            error = 'Enter the amount received.';
+        } else if (paymentAmount > sale.amountDue) {
+            error = `Amount is more than the balance due of ₹${sale.amountDue}.`;
+        } else {
+            error = getPaymentReferenceError(method, reference);
+        }
+        if (error) {
+            return renderSalePayments(res, sale, error);
+        }
+
+        const payment = await Payment.create({
+            userId: req.session.userId,
+            saleId: sale._id,
+            customerId: sale.customerId,
+            amount: paymentAmount,
+            method: PAYMENT_METHODS.includes(method) ? method : 'cash',
+            date: date ? new Date(date) : new Date(),
+            reference,
+            notes
+        });
+        await recordAudit(req, 'Payment', 'create', { after: payment, label: sale.invoiceNumber });
+
+        await refreshSalePayments(sale);
+        await sale.save();
+
+        res.redirect(`/sales/payments/${sale._id}`);
+    } catch (error) {
+        console.error('Error recording payment:', error);
+        res.status(500).send('Error recording payment');
+    }
+});
+
+app.post('/sales/payments/delete/:paymentId', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const payment = await Payment.findById(req.params.paymentId);
+        if (!payment) {
+            return res.status(404).send('Payment not found');
+        }
+
+        const sale = await Sale.findById(payment.saleId);
+        await payment.deleteOne();
+        await recordAudit(req, 'Payment', 'delete', { before: payment, label: sale ? sale.invoiceNumber : undefined });
+
+        if (sale) {
+            await refreshSalePayments(sale);
+            await sale.save();
+        }
+
+        res.redirect(`/sales/payments/${payment.saleId}`);
+    } catch (error) {
+        console.error('Error deleting payment:', error);
+        res.status(500).send('Error deleting payment');
+    }
+});
+
+// Customer Routes
+app.get('/customers', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const [customers, sales] = await Promise.all([
+            Customer.find().sort({ name: 1 }),
+            Sale.find({ customerId: { $ne: null }, status: { $ne: 'void' } })
+        ]);
+
+        // Outstanding per customer from their unpaid and part-paid sales
+        const outstanding = {};
+        const invoiceCount = {};
+        sales.forEach(sale => {
+            const key = sale.customerId.toString();
+            outstanding[key] = (outstanding[key] || 0) + sale.totalAmount - getAmountPaid(sale);
+            invoiceCount[key] = (invoiceCount[key] || 0) + 1;
+        });
+
+        const plainCustomers = customers.map(c => ({
+            ...c.toObject(),
+            invoiceCount: invoiceCount[c._id.toString()] || 0,
+            outstanding: Math.round((outstanding[c._id.toString()] || 0) * 100) / 100
+        }));
+
+        res.render('customers/list', {
+            customers: plainCustomers,
+            totalOutstanding: Math.round(plainCustomers.reduce((sum, c) => sum + c.outstanding, 0) * 100) / 100,
+            withBalanceCount: plainCustomers.filter(c => c.outstanding > 0).length,
+            title: 'Customers'
+        });
+    } catch (error) {
+        console.error('Error loading customers:', error);
+        res.status(500).send('Error loading customers');
+    }
+});
+
+// Phone-number lookup used by the sale form
+app.get('/customers/search', requirePermission('recordSales'), async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim();
+        if (q.length < 3) {
+            return res.json([]);
+        }
+
+        const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        const customers = await Customer.find({
+            $or: [{ phone: pattern }, { name: pattern }]
+        }).sort({ name: 1 }).limit(10);
+
+        res.json(customers.map(c => ({
+            id: c._id,
+            name: c.name,
+            phone: c.phone,
+            email: c.email,
+            address: c.address,
+            gstin: c.gstin,
+            stateCode: c.stateCode
+        })));
+    } catch (error) {
+        console.error('Error searching customers:', error);
+        res.status(500).json({ error: 'Failed to search customers' });
+    }
+});
+
+app.get('/customers/add', requirePermission('manageSales'), (req, res) => {
+    res.render('customers/add', { gstStates: GST_STATES, title: 'Add Customer' });
+});
+
+app.post('/customers/add', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const { name, phone, email, address, gstin, stateCode, notes } = req.body;
+        const cleanGstin = (gstin || '').trim().toUpperCase();
+
+        let error = null;
+        if (phone && await Customer.exists({ phone: phone.trim() })) {
+            error = `A customer with phone ${phone} already exists.`;
+        } else if (cleanGstin && !GSTIN_PATTERN.test(cleanGstin)) {
+            error = `${cleanGstin} is not a valid GSTIN.`;
+        }
+        if (error) {
+            return res.status(400).render('customers/add', {
+                customer: req.body,
+                gstStates: GST_STATES,
+                error,
+                title: 'Add Customer'
+            });
+        }
+
+        const customer = new Customer({
+            userId: req.session.userId,
+            name,
+            phone: phone ? phone.trim() : undefined,
+            email,
+            address,
+            gstin: cleanGstin || undefined,
+            stateCode: stateCode || getStateFromGstin(cleanGstin) || undefined,
+            notes
+        });
+        await customer.save();
+        await recordAudit(req, 'Customer', 'create', { after: customer });
+
+        res.redirect(`/customers/${customer._id}`);
+    } catch (error) {
+        console.error('Error creating customer:', error);
+        res.status(500).send('Error creating customer');
+    }
+});
+
+app.get('/customers/edit/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            return res.status(404).send('Customer not found');
+        }
+
+        res.render('customers/edit', { customer: customer.toObject(), gstStates: GST_STATES, title: 'Edit Customer' });
+    } catch (error) {
+        console.error('Error loading customer:', error);
+        res.status(500).send('Error loading customer');
+    }
+});
+
+app.post('/customers/edit/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const { name, phone, email, address, gstin, stateCode, notes } = req.body;
+
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            return res.status(404).send('Customer not found');
+        }
+
+        const cleanPhone = phone ? phone.trim() : '';
+        const cleanGstin = (gstin || '').trim().toUpperCase();
+
+        let error = null;
+        if (cleanPhone && await Customer.exists({ phone: cleanPhone, _id: { $ne: customer._id } })) {
+            error = `Another customer already has phone ${cleanPhone}.`;
+        } else if (cleanGstin && !GSTIN_PATTERN.test(cleanGstin)) {
+            error = `${cleanGstin} is not a valid GSTIN.`;
+        }
+        if (error) {
+            return res.status(400).render('customers/edit', {
+                customer: { ...customer.toObject(), ...req.body },
+                gstStates: GST_STATES,
+                error,
+                title: 'Edit Customer'
+            });
+        }
+
+        // Past sales keep the details printed on their invoices
+        const before = customer.toObject();
+        customer.name = name;
+        customer.phone = cleanPhone || undefined;
+        customer.email = email;
+        customer.address = address;
+        customer.gstin = cleanGstin || undefined;
+        customer.stateCode = stateCode || getStateFromGstin(cleanGstin) || undefined;
+        customer.notes = notes;
+        await customer.save();
+        await recordAudit(req, 'Customer', 'update', { before, after: customer });
+
+        res.redirect(`/customers/${customer._id}`);
+    } catch (error) {
+        console.error('Error updating customer:', error);
+        res.status(500).send('Error updating customer');
+    }
+});
+
+app.get('/customers/:id', requirePermission('manageSales'), async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+        if (!customer) {
+            return res.status(404).send('Customer not found');
+        }
+
+        const ledger = await buildCustomerLedger(customer);
+
+        res.render('customers/ledger', {
+            customer: customer.toObject(),
+            stateName: getStateName(customer.stateCode),
+            // Newest first on screen; balances were worked out oldest first
+            entries: ledger.entries.slice().reverse(),
+            totalInvoiced: ledger.totalInvoiced,
+            totalPaid: ledger.totalPaid,
+            outstanding: ledger.outstanding,
+            title: `Ledger - ${customer.name}`
+        });
+    } catch (error) {
+        console.error('Error loading customer ledger:', error);
+        res.status(500).send('Error loading customer ledger');
+    }
+});
+
+// Supplier Routes
+// Supplier details from the add and edit forms, or an error message
+const getSupplierDetails = (body) => {
+    const name = (body.name || '').trim();
+    const gstin = (body.gstin || '').trim().toUpperCase();
+    if (!name) {
+        return { error: 'Please enter the supplier name.' };
+    }
+    if (gstin && !GSTIN_PATTERN.test(gstin)) {
+        return { error: `${gstin} is not a valid GSTIN.` };
+    }
+    return {
+        name,
+        contactPerson: body.contactPerson,
+        phone: (body.phone || '').trim() || undefined,
+        email: body.email,
+        address: body.address,
+        gstin: gstin || undefined,
+        paymentTermsDays: Math.max(0, parseInt(body.paymentTermsDays) || 0),
+        notes: body.notes
+    };
+};
+
+// Bills and payments for one supplier, oldest first, with the running amount we owe
+const buildSupplierLedger = async (supplier) => {
+    const [bills, payments] = await Promise.all([
+        SupplierBill.find({ supplierId: supplier._id }),
+        SupplierPayment.find({ supplierId: supplier._id })
+    ]);
+
+    const entries = [];
+    bills.forEach(b => {
+        entries.push({ date: b.billDate, billId: b._id, description: `Bill #${b.billNumber}`, credit: b.amount, debit: 0 });
+    });
+    payments.forEach(p => {
+        const bill = bills.find(b => b._id.equals(p.billId));
+        entries.push({
+            date: p.date,
+            billId: p.billId,
+            description: `Payment for #${bill ? bill.billNumber : '-'} (${p.method}${p.reference ? ` ${p.reference}` : ''})`,
+            credit: 0,
+            debit: p.amount
+        });
+    });
+
+    // Same-day bills come before their payments
+    entries.sort((a, b) => (new Date(a.date) - new Date(b.date)) || (b.credit - a.credit));
+
+    let balance = 0;
+    entries.forEach(entry => {
+        balance = roundMoney(balance + entry.credit - entry.debit);
+        entry.balance = balance;
+    });
+
+    return {
+        entries,
+        totalBilled: roundMoney(entries.reduce((sum, e) => sum + e.credit, 0)),
+        totalPaid: roundMoney(entries.reduce((sum, e) => sum + e.debit, 0)),
+        outstanding: balance
+    };
+};
+
+app.get('/suppliers', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const [suppliers, bills] = await Promise.all([
+            Supplier.find().sort({ isActive: -1, name: 1 }),
+            SupplierBill.find({ status: { $ne: 'paid' } })
+        ]);
+
+        // What we owe each supplier on their unpaid and part-paid bills
+        const payable = {};
+        const overdue = {};
+        const today = moment().startOf('day');
+        bills.forEach(bill => {
+            const key = bill.supplierId.toString();
+            payable[key] = (payable[key] || 0) + bill.amountDue;
+            if (bill.dueDate && moment(bill.dueDate).isBefore(today)) {
+                overdue[key] = (overdue[key] || 0) + bill.amountDue;
+            }
+        });
+
+        const plainSuppliers = suppliers.map(s => ({
+            ...s.toObject(),
+            payable: roundMoney(payable[s._id.toString()] || 0),
+            overdue: roundMoney(overdue[s._id.toString()] || 0)
+        }));
+
+        res.render('suppliers/list', {
+            suppliers: plainSuppliers,
+            totalPayable: roundMoney(plainSuppliers.reduce((sum, s) => sum + s.payable, 0)),
+            totalOverdue: roundMoney(plainSuppliers.reduce((sum, s) => sum + s.overdue, 0)),
+            title: 'Suppliers'
+        });
+    } catch (error) {
+        console.error('Error loading suppliers:', error);
+        res.status(500).send('Error loading suppliers');
+    }
+});
+
+app.get('/suppliers/add', requirePermission('manageInventory'), (req, res) => {
+    res.render('suppliers/add', { title: 'Add Supplier' });
+});
+
+app.post('/suppliers/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const details = getSupplierDetails(req.body);
+        if (details.error) {
+            return res.status(400).render('suppliers/add', {
+                supplier: req.body,
+                error: details.error,
+                title: 'Add Supplier'
+            });
+        }
+
+        const supplier = await Supplier.create({ ...details, userId: req.session.userId });
+        await recordAudit(req, 'Supplier', 'create', { after: supplier });
+
+        res.redirect(`/suppliers/${supplier._id}`);
+    } catch (error) {
+        console.error('Error creating supplier:', error);
+        res.status(500).send('Error creating supplier');
+    }
+});
+
+app.get('/suppliers/edit/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+        if (!supplier) {
+            return res.status(404).send('Supplier not found');
+        }
+
+        res.render('suppliers/edit', { supplier: supplier.toObject(), title: 'Edit Supplier' });
+    } catch (error) {
+        console.error('Error loading supplier:', error);
+        res.status(500).send('Error loading supplier');
+    }
+});
+
+app.post('/suppliers/edit/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findById(req.params.id);
+        if (!supplier) {
+            return res.status(404).send('Supplier not found');
+        }
+
+        const details = getSupplierDetails(req.body);
+        if (details.error) {
+            return res.status(400).render('suppliers/edit', {
+                supplier: { ...supplier.toObject(), ...req.body },
+                error: details.error,
+                title: 'Edit Supplier'
+            });
+        }
+
+        const before = supplier.toObject();
+        supplier.set(details);
+        supplier.isActive = req.body.isActive === 'on';
+        await supplier.save();
+        await recordAudit(req, 'Supplier', 'update', { before, after: supplier });
+
+        res.redirect(`/suppliers/${supplier._id}`);
+    } catch (error) {
+        console.error('Error updating supplier:', error);
+        res.status(500).send('Error updating supplier');
+    }
+});
+
+app.get('/suppliers/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const supplier = mongoose.isValidObjectId(req.params.id) ? await Supplier.findById(req.params.id) : null;
+        if (!supplier) {
+            return res.status(404).send('Supplier not found');
+        }
+
+        const [ledger, orders] = await Promise.all([
+            buildSupplierLedger(supplier),
+            PurchaseOrder.find({ supplierId: supplier._id, status: { $ne: 'cancelled' } }).sort({ date: -1 })
+        ]);
+
+        // Latest rate paid for each material, from the newest order that has it
+        const rates = [];
+        orders.forEach(order => order.items.forEach(item => {
+            if (rates.some(r => r.stockItemId === item.stockItemId)) return;
+            rates.push({ ...item.toObject(), date: order.date, orderNumber: order.orderNumber });
+        }));
+
+        res.render('suppliers/ledger', {
+            supplier: supplier.toObject(),
+            // Newest first on screen; balances were worked out oldest first
+            entries: ledger.entries.slice().reverse(),
+            totalBilled: ledger.totalBilled,
+            totalPaid: ledger.totalPaid,
+            outstanding: ledger.outstanding,
+            openOrders: orders.filter(o => o.status === 'open' || o.status === 'partial').map(o => o.toObject()),
+            rates,
+            title: `Ledger - ${supplier.name}`
+        });
+    } catch (error) {
+        console.error('Error loading supplier ledger:', error);
+        res.status(500).send('Error loading supplier ledger');
+    }
+});
+
+// Purchase Order Routes
+const PURCHASE_ORDER_STATUSES = ['open', 'partial', 'received', 'cancelled'];
+
+// Order lines from the submitted rows: [{ stockItemId, quantity, rate }]
+const parsePurchaseItems = (rows, stock) => {
+    let normalized = [];
+    if (Array.isArray(rows)) {
+        normalized = rows;
+    } else if (rows && typeof rows === 'object') {
+        normalized = Object.values(rows);
+    }
+
+    const items = [];
+    for (const row of normalized) {
+        const stockItem = stock.find(s => s.id === row.stockItemId);
+        const quantity = Math.round((parseFloat(row.quantity) || 0) * 1000) / 1000;
+        const rate = roundMoney(parseFloat(row.rate) || 0);
+        if (!stockItem || quantity <= 0 || rate < 0) continue;
+
+        items.push({
+            stockItemId: stockItem._id,
+            stockItemName: stockItem.name,
+            unit: stockItem.unit,
+            quantity,
+            rate,
+            amount: roundMoney(quantity * rate)
+        });
+    }
+    return items;
+};
+
+// Open until something arrives, then part-received until every line is in full
+const updatePurchaseOrderStatus = (order) => {
+    if (order.status === 'cancelled') return order;
+    const received = order.items.filter(item => item.receivedQuantity > 0);
+    if (received.length === 0) {
+        order.status = 'open';
+    } else if (order.items.every(item => item.receivedQuantity >= item.quantity)) {
+        order.status = 'received';
+    } else {
+        order.status = 'partial';
+    }
+    return order;
+};
+
+const renderPurchaseAdd = async (req, res, error) => {
+    const [suppliers, branches, stock] = await Promise.all([
+        Supplier.find({ isActive: true }).sort({ name: 1 }),
+        Branch.find({ isActive: true }).sort({ isMain: -1, name: 1 }),
+        StockItem.find().sort({ name: 1 })
+    ]);
+    const supplierId = req.body.supplierId || req.query.supplierId;
+
+    res.status(error ? 400 : 200).render('purchases/add', {
+        suppliers: suppliers.map(s => ({ ...s.toObject(), selected: String(s._id) === supplierId })),
+        branches: branches.map(b => b.toObject()),
+        stock: stock.map(s => s.toObject()),
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: 'New Purchase Order'
+    });
+};
+
+app.get('/purchases', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const filter = PURCHASE_ORDER_STATUSES.includes(req.query.status) ? { status: req.query.status } : {};
+        const orders = await PurchaseOrder.find(filter)
+            .sort({ date: -1, createdAt: -1 })
+            .limit(200)
+            .populate('supplierId', 'name')
+            .populate('branchId', 'name');
+
+        res.render('purchases/list', {
+            orders: orders.map(o => o.toObject()),
+            statuses: PURCHASE_ORDER_STATUSES.map(name => ({ name, selected: name === req.query.status })),
+            title: 'Purchase Orders'
+        });
+    } catch (error) {
+        console.error('Error loading purchase orders:', error);
+        res.status(500).send('Error loading purchase orders');
+    }
+});
+
+app.get('/purchases/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        await renderPurchaseAdd(req, res);
+    } catch (error) {
+        console.error('Error loading purchase order form:', error);
+        res.status(500).send('Error loading purchase order form');
+    }
+});
+
+app.post('/purchases/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { supplierId, branchId, items: rows, date, expectedDate, notes } = req.body;
+
+        const supplier = mongoose.isValidObjectId(supplierId) ? await Supplier.findOne({ _id: supplierId, isActive: true }) : null;
+        if (!supplier) {
+            return await renderPurchaseAdd(req, res, 'Choose the supplier to order from.');
+        }
+        const branch = (mongoose.isValidObjectId(branchId) && await Branch.findOne({ _id: branchId, isActive: true })) ||
+            await Branch.getMain();
+
+        const items = parsePurchaseItems(rows, await StockItem.find());
+        if (items.length === 0) {
+            return await renderPurchaseAdd(req, res, 'Add at least one material with a quantity and rate.');
+        }
+
+        const seq = await Counter.next('purchase-order');
+        const order = await PurchaseOrder.create({
+            orderNumber: `PO-${String(seq).padStart(5, '0')}`,
+            supplierId: supplier._id,
+            branchId: branch._id,
+            date: date ? new Date(date) : new Date(),
+            expectedDate: expectedDate ? new Date(expectedDate) : undefined,
+            items,
+            totalAmount: roundMoney(items.reduce((sum, item) => sum + item.amount, 0)),
+            notes,
+            userId: req.session.userId
+        });
+        await recordAudit(req, 'PurchaseOrder', 'create', { after: order });
+
+        res.redirect(`/purchases/${order._id}`);
+    } catch (error) {
+        console.error('Error saving purchase order:', error);
+        res.status(500).send('Error saving purchase order');
+    }
+});
+
+// Orders can be cancelled until goods arrive against them
+app.post('/purchases/cancel/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const order = await PurchaseOrder.findById(req.params.id);
+        if (!order) {
+            return res.status(404).send('Purchase order not found');
+        }
+        if (order.status !== 'open') {
+            return res.status(400).send('Only orders with nothing received can be cancelled');
+        }
+
+        const before = order.toObject();
+        order.status = 'cancelled';
+        await order.save();
+        await recordAudit(req, 'PurchaseOrder', 'update', { before, after: order });
+
+        res.redirect(`/purchases/${order._id}`);
+    } catch (error) {
+        console.error('Error cancelling purchase order:', error);
+        res.status(500).send('Error cancelling purchase order');
+    }
+});
+
+// Supplier Bill Routes
+// Bring a bill's paid amount, balance and status in line with its payments
+const refreshBillPayments = async (bill) => {
+    const payments = await SupplierPayment.find({ billId: bill._id });
+    const paid = roundMoney(payments.reduce((sum, p) => sum + p.amount, 0));
+
+    bill.amountPaid = paid;
+    bill.amountDue = Math.max(0, roundMoney(bill.amount - paid));
+    bill.status = paid <= 0 ? 'pending' : (paid >= bill.amount ? 'paid' : 'partial');
+    return bill;
+};
+
+// Value of the goods received against an order that hasn't been billed yet
+const getUnbilledAmount = async (order) => {
+    const [receipts, bills] = await Promise.all([
+        GoodsReceipt.find({ purchaseOrderId: order._id }),
+        SupplierBill.find({ purchaseOrderId: order._id })
+    ]);
+    const received = receipts.reduce((sum, r) => sum + r.totalAmount, 0);
+    const billed = bills.reduce((sum, b) => sum + b.amount, 0);
+    return Math.max(0, roundMoney(received - billed));
+};
+
+const renderBillAdd = async (req, res, error) => {
+    const values = { ...req.query, ...req.body };
+    const [suppliers, orders] = await Promise.all([
+        Supplier.find({ isActive: true }).sort({ name: 1 }),
+        PurchaseOrder.find({ status: { $ne: 'cancelled' } }).sort({ date: -1 }).limit(100).populate('supplierId', 'name')
+    ]);
+
+    // Coming from an order: bill its supplier for what has arrived and isn't billed
+    const order = orders.find(o => String(o._id) === values.purchaseOrderId);
+    if (order && !req.body.supplierId) {
+        values.supplierId = String(order.supplierId._id);
+        values.amount = await getUnbilledAmount(order);
+    }
+
+    res.status(error ? 400 : 200).render('purchases/bill-add', {
+        suppliers: suppliers.map(s => ({ ...s.toObject(), selected: String(s._id) === values.supplierId })),
+        orders: orders.map(o => ({ ...o.toObject(), selected: o === order })),
+        bill: values,
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: 'Record Supplier Bill'
+    });
+};
+
+app.get('/purchases/bills', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        // Unpaid and part-paid bills unless every bill is asked for
+        const showAll = req.query.show === 'all';
+        const bills = await SupplierBill.find(showAll ? {} : { status: { $ne: 'paid' } })
+            .sort({ dueDate: 1, billDate: 1 })
+            .populate('supplierId', 'name');
+
+        const today = moment().startOf('day');
+        const plainBills = bills.map(b => ({
+            ...b.toObject(),
+            isOverdue: b.status !== 'paid' && b.dueDate && moment(b.dueDate).isBefore(today)
+        }));
+        const unpaid = plainBills.filter(b => b.status !== 'paid');
+
+        res.render('purchases/bills', {
+            bills: plainBills,
+            showAll,
+            totalPayable: roundMoney(unpaid.reduce((sum, b) => sum + b.amountDue, 0)),
+            totalOverdue: roundMoney(unpaid.filter(b => b.isOverdue).reduce((sum, b) => sum + b.amountDue, 0)),
+            title: 'Supplier Bills'
+        });
+    } catch (error) {
+        console.error('Error loading supplier bills:', error);
+        res.status(500).send('Error loading supplier bills');
+    }
+});
+
+app.get('/purchases/bills/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        await renderBillAdd(req, res);
+    } catch (error) {
+        console.error('Error loading bill form:', error);
+        res.status(500).send('Error loading bill form');
+    }
+});
+
+app.post('/purchases/bills/add', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const { supplierId, purchaseOrderId, billNumber, billDate, dueDate, amount, notes } = req.body;
+        const billAmount = roundMoney(parseFloat(amount) || 0);
+
+        const supplier = mongoose.isValidObjectId(supplierId) ? await Supplier.findById(supplierId) : null;
+        const order = mongoose.isValidObjectId(purchaseOrderId) ? await PurchaseOrder.findById(purchaseOrderId) : null;
+        const cleanBillNumber = (billNumber || '').trim();
+
+        let error = null;
+        if (!supplier) {
+            error = 'Choose the supplier the bill is from.';
+        } else if (order && !order.supplierId.equals(supplier._id)) {
+            error = `${order.orderNumber} was placed with a different supplier.`;
+        } else if (!cleanBillNumber) {
+            error = 'Enter the bill number printed on the supplier\'s bill.';
+        } else if (billAmount <= 0) {
+            error = 'Enter the bill amount.';
+        } else if (await SupplierBill.exists({ supplierId: supplier._id, billNumber: cleanBillNumber })) {
+            error = `Bill #${cleanBillNumber} from ${supplier.name} has already been recorded.`;
+        }
+        if (error) {
+            return await renderBillAdd(req, res, error);
+        }
+
+        const date = billDate ? new Date(billDate) : new Date();
+        const bill = new SupplierBill({
+            supplierId: supplier._id,
+            purchaseOrderId: order ? order._id : undefined,
+            billNumber: cleanBillNumber,
+            billDate: date,
+            // Due after the supplier's payment terms unless a date is given
+            dueDate: dueDate ? new Date(dueDate) : moment(date).add(supplier.paymentTermsDays || 0, 'days').toDate(),
+            amount: billAmount,
+            notes,
+            userId: req.session.userId
+        });
+        await refreshBillPayments(bill);
+        await bill.save();
+        await recordAudit(req, 'SupplierBill', 'create', { after: bill, label: `${supplier.name} #${bill.billNumber}` });
+
+        res.redirect(`/purchases/bills/payments/${bill._id}`);
+    } catch (error) {
+        console.error('Error recording supplier bill:', error);
+        res.status(500).send('Error recording supplier bill');
+    }
+});
+
+const renderBillPayments = async (res, bill, error) => {
+    const payments = await SupplierPayment.find({ billId: bill._id }).sort({ date: 1, createdAt: 1 });
+    await bill.populate([{ path: 'supplierId', select: 'name' }, { path: 'purchaseOrderId', select: 'orderNumber' }]);
+
+    res.status(error ? 400 : 200).render('purchases/bill-payments', {
+        bill: bill.toObject(),
+        payments: payments.map(p => p.toObject()),
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: `Payments - Bill #${bill.billNumber}`
+    });
+};
+
+app.get('/purchases/bills/payments/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const bill = await SupplierBill.findById(req.params.id);
+        if (!bill) {
+            return res.status(404).send('Bill not found');
+        }
+
+        await renderBillPayments(res, bill);
+    } catch (error) {
+        console.error('Error loading bill payments:', error);
+        res.status(500).send('Error loading bill payments');
+    }
+});
+
+app.post('/purchases/bills/payments/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const bill = await SupplierBill.findById(req.params.id);
+        if (!bill) {
+            return res.status(404).send('Bill not found');
+        }
+
+        const { amount, method, date, reference, notes } = req.body;
+        const paymentAmount = roundMoney(parseFloat(amount) || 0);
+        await refreshBillPayments(bill);
+
+        let error = null;
+        if (paymentAmount <= 0) {
+            error = 'Enter the amount paid.';
+        } else if (paymentAmount > bill.amountDue) {
+            error = `Amount is more than the balance due of ₹${bill.amountDue}.`;
+        } else {
+            error = getPaymentReferenceError(method, reference);
+        }
+        if (error) {
+            return await renderBillPayments(res, bill, error);
+        }
+
+        const payment = await SupplierPayment.create({
+            userId: req.session.userId,
+            billId: bill._id,
+            supplierId: bill.supplierId,
+            amount: paymentAmount,
+            method: PAYMENT_METHODS.includes(method) ? method : 'cash',
+            date: date ? new Date(date) : new Date(),
+            reference,
+            notes
+        });
+        await recordAudit(req, 'SupplierPayment', 'create', { after: payment, label: `Bill #${bill.billNumber}` });
+
+        await refreshBillPayments(bill);
+        await bill.save();
+
+        res.redirect(`/purchases/bills/payments/${bill._id}`);
+    } catch (error) {
+        console.error('Error recording supplier payment:', error);
+        res.status(500).send('Error recording supplier payment');
+    }
+});
+
+app.post('/purchases/bills/payments/delete/:paymentId', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const payment = await SupplierPayment.findById(req.params.paymentId);
+        if (!payment) {
+            return res.status(404).send('Payment not found');
+        }
+
+        const bill = await SupplierBill.findById(payment.billId);
+        await payment.deleteOne();
+        await recordAudit(req, 'SupplierPayment', 'delete', { before: payment, label: bill ? `Bill #${bill.billNumber}` : undefined });
+
+        if (bill) {
+            await refreshBillPayments(bill);
+            await bill.save();
+        }
+
+        res.redirect(`/purchases/bills/payments/${payment.billId}`);
+    } catch (error) {
+        console.error('Error deleting supplier payment:', error);
+        res.status(500).send('Error deleting supplier payment');
+    }
+});
+
+// Order details with what has arrived and been billed against it
+app.get('/purchases/:id', requirePermission('manageInventory'), async (req, res) => {
+    try {
+        const order = mongoose.isValidObjectId(req.params.id)
+            ? await PurchaseOrder.findById(req.params.id).populate('supplierId').populate('branchId', 'name')
+            : null;
+        if (!order) {
+            return res.status(404).send('Purchase order not found');
+        }
+
+        const [receipts, bills] = await Promise.all([
+            GoodsReceipt.find({ purchaseOrderId: order._id }).sort({ date: 1, createdAt: 1 }),
+            SupplierBill.find({ purchaseOrderId: order._id }).sort({ billDate: 1 })
+        ]);
+
+        res.render('purchases/view', {
+            order: {
+                ...order.toObject(),
+                items: order.items.map(item => ({
+                    ...item.toObject(),
+                    remaining: Math.max(0, Math.round((item.quantity - item.receivedQuantity) * 1000) / 1000)
+                }))
+            },
+            receipts: receipts.map(r => r.toObject()),
+            bills: bills.map(b => b.toObject()),
+            canReceive: order.status === 'open' || order.status === 'partial',
+            canCancel: order.status === 'open',
+            title: `Purchase Order ${order.orderNumber}`
+        });
+    } catch (error) {
+        console.error('Error loading purchase order:', error);
+        res.status(500).send('Error loading purchase order');
+    }
+});
+
+// Employee Management Routes
+app.get('/employees', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const employees = await Employee.find({ isActive: true }).sort({ createdAt: -1 });
+        
+        // Convert to plain objects to avoid Handlebars issues
+        const plainEmployees = employees.map(emp => emp.toObject());
+        
+        // Calculate statistics
+        const activeCount = plainEmployees.length;
+        const averageSalary = plainEmployees.length > 0 
+            ? Math.round(plainEmployees.reduce((sum, emp) => sum + emp.basicSalary, 0) / plainEmployees.length)
+            : 0;
+        const totalPayroll = plainEmployees.reduce((sum, emp) => sum + emp.basicSalary, 0);
+        
+        res.render('employees/list', {
+            employees: plainEmployees,
+            activeCount,
+            averageSalary,
+            totalPayroll,
+            title: 'Employee Management'
+        });
+    } catch (error) {
+        console.error('Error fetching employees:', error);
+        res.status(500).send('Error loading employees');
+    }
+});
+
+// Pay basis and rates from the employee form
+const getPayTerms = (body) => ({
+    payBasis: ['monthly', 'daily', 'piece-rate'].includes(body.payBasis) ? body.payBasis : 'monthly',
+    dailyWage: parseFloat(body.dailyWage) || 0,
+    pieceRate: parseFloat(body.pieceRate) || 0,
+    overtimeRate: parseFloat(body.overtimeRate) || null
+});
+
+app.get('/employees/add', requirePermission('managePayroll'), (req, res) => {
+    res.render('employees/add', { title: 'Add Employee' });
+});
+
+app.post('/employees/add', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const { name, role, phone, basicSalary, joiningDate, address } = req.body;
+        
+        const employee = new Employee({
+            name,
+            role,
+            phone,
+            basicSalary: parseFloat(basicSalary),
+            ...getPayTerms(req.body),
+            joiningDate: new Date(joiningDate),
+            address
+        });
+        
+        await employee.save();
+        await recordAudit(req, 'Employee', 'create', { after: employee });
+        res.redirect('/employees');
+    } catch (error) {
+        console.error('Error creating employee:', error);
+        res.status(500).send('Error creating employee');
+    }
+});
+
+app.get('/employees/edit/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const employee = await Employee.findById(req.params.id);
+        if (!employee) {
+            return res.status(404).send('Employee not found');
+        }
+        
+        res.render('employees/edit', { employee: employee.toObject(), title: 'Edit Employee' });
+    } catch (error) {
+        console.error('Error fetching employee:', error);
+        res.status(500).send('Error loading employee');
+    }
+});
+
+app.post('/employees/edit/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const { name, role, phone, basicSalary, joiningDate, address } = req.body;
+        
+        const before = await Employee.findById(req.params.id);
+        const employee = await Employee.findByIdAndUpdate(req.params.id, {
+            name,
+            role,
+            phone,
+            basicSalary: parseFloat(basicSalary),
+            ...getPayTerms(req.body),
+            joiningDate: new Date(joiningDate),
+            address,
+            updatedAt: Date.now()
+        }, { new: true });
+        if (employee) {
+            await recordAudit(req, 'Employee', 'update', { before, after: employee });
+        }
+        
+        res.redirect('/employees');
+    } catch (error) {
+        console.error('Error updating employee:', error);
+        res.status(500).send('Error updating employee');
+    }
+});
+
+app.post('/employees/delete/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const employee = await Employee.findById(req.params.id);
+        if (employee && employee.isActive) {
+            const before = employee.toObject();
+            employee.isActive = false;
+            await employee.save();
+            await recordAudit(req, 'Employee', 'update', { before, after: employee });
+        }
+        res.redirect('/employees');
+    } catch (error) {
+        console.error('Error deleting employee:', error);
+        res.status(500).send('Error deleting employee');
     }
 });
 
-app.post('/products/delete/:id', requireAuth, (req, res) => {
-    const products = readData(PRODUCTS_FILE);
-    const filteredProducts = products.filter(p => p.id !== req.params.id);
-    
-    if (writeData(PRODUCTS_FILE, filteredProducts)) {
-        res.redirect('/products');
-    } else {
-        res.status(500).json({ error: 'Failed to delete product' });
-    }
-});
+// Attendance Routes
+// Daily roll-call for the whole active workforce
+app.get('/employees/attendance', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const day = req.query.date ? parseDay(req.query.date) : toDayStart(new Date());
+        if (!day) {
+            return res.status(400).send('Invalid date');
+        }
+        const employees = await Employee.find({ isActive: true }).sort({ name: 1 });
+        const records = await Attendance.find({ date: day });
 
-// Invoice Generation
-const buildPuppeteerLaunchOptions = () => {
-    // retained for fallback; not used by PDFKit path
-    const commonArgs = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
-    const isRender = !!process.env.RENDER;
-    const isWin = process.platform === 'win32';
-    const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH
-        || process.env.CHROMIUM_PATH
-        || (isWin ? 'C:/Program Files/Google/Chrome/Application/chrome.exe' : undefined);
-    return { headless: 'new', args: isRender ? [...commonArgs, '--single-process', '--no-zygote', '--disable-gpu'] : commonArgs, executablePath: executablePath || undefined };
-};
+        const recordByEmployee = {};
+        records.forEach(r => { recordByEmployee[r.employeeId.toString()] = r.toObject(); });
 
-const handleInvoice = async (req, res) => {
-    const saleId = (req.params && req.params.id) || (req.body && req.body.saleId) || (req.query && req.query.saleId);
-    
-    if (!saleId) {
-        return res.status(400).json({ error: 'Sale ID is required' });
+        const rows = employees.map(emp => ({
+            employee: emp.toObject(),
+            attendance: recordByEmployee[emp._id.toString()] || null
+        }));
+
+        res.render('employees/attendance', {
+            rows,
+            date: moment(day).format('YYYY-MM-DD'),
+            prevDate: moment(day).subtract(1, 'day').format('YYYY-MM-DD'),
+            nextDate: moment(day).add(1, 'day').format('YYYY-MM-DD'),
+            presentCount: records.filter(r => r.status === 'present').length,
+            absentCount: records.filter(r => r.status === 'absent').length,
+            halfDayCount: records.filter(r => r.status === 'half-day').length,
+            unmarkedCount: rows.filter(r => !r.attendance).length,
+            title: 'Daily Attendance'
+        });
+    } catch (error) {
+        console.error('Error loading attendance:', error);
+        res.status(500).send('Error loading attendance');
     }
-    
+});
+
+app.post('/employees/attendance', requirePermission('managePayroll'), async (req, res) => {
     try {
-        // Try simple sale first, then complex sale
-        let simple = await SimpleSale.findOne({ _id: saleId, userId: req.session.userId });
-        let sale = simple || await Sale.findOne({ _id: saleId, userId: req.session.userId });
-        
-        if (!sale) {
-            return res.status(404).json({ error: 'Sale not found' });
+        const day = req.body.date ? parseDay(req.body.date) : toDayStart(new Date());
+        if (!day) {
+            return res.status(400).send('Invalid date');
         }
-        
-        // Generate PDF with PDFKit (avoids headless browser issues)
-        const doc = new PDFDocument({ size: 'A4', margin: 40 });
-        const chunks = [];
-        doc.on('data', (chunk) => chunks.push(chunk));
-        doc.on('end', () => {
-            const pdf = Buffer.concat(chunks);
-            res.setHeader('Content-Type', 'application/pdf');
-            const code = (simple? simple._id : (sale._id || sale.id)).toString().substring(0,8);
-            res.setHeader('Content-Disposition', `attachment; filename="invoice-${code}.pdf"`);
-            res.send(pdf);
-        });
+        const entries = req.body.attendance || {};
 
-        // Header
-        doc.fontSize(22).text('Ramlila Pedhewale Factory', { align: 'center' });
-        doc.moveDown(0.2);
-        doc.fontSize(10).fillColor('#555').text('Traditional Sweet Manufacturing', { align: 'center' });
-        doc.moveDown(1);
-        doc.fillColor('#000');
-
-        // Invoice meta
-        const invId = simple ? (simple.invoiceNumber || 1) : (sale.invoiceNumber || 1);
-        const invDate = moment((simple? simple.date : sale.date) || (simple? simple.createdAt : sale.createdAt) || new Date()).format('DD-MM-YYYY');
-        doc.fontSize(14).text(`Invoice #${invId}`);
-        doc.fontSize(10).text(`Date: ${invDate}`);
-        doc.moveDown(0.5);
+        for (const [employeeId, entry] of Object.entries(entries)) {
+            await saveAttendance(req, employeeId, day, entry);
+        }
 
-        // Customer
-        const customerName = (simple? simple.customerName : sale.customerName) || 'Customer';
-        const customerPhone = (simple? simple.customerPhone : sale.customerPhone) || '';
-        const customerAddress = sale && sale.customerAddress ? sale.customerAddress : '';
-        doc.fontSize(12).text(`Customer: ${customerName}`);
-        if (customerPhone) doc.text(`Phone: ${customerPhone}`);
-        if (customerAddress) doc.text(`Address: ${customerAddress}`);
-        doc.moveDown(1);
+        res.redirect(`/employees/attendance?date=${moment(day).format('YYYY-MM-DD')}`);
+    } catch (error) {
+        console.error('Error saving attendance:', error);
+        res.status(500).send('Error saving attendance');
+    }
+});
 
-        // Items/Amounts with proper table layout
-        if (!simple && sale && sale.items && sale.items.length > 0) {
-            const tableTop = doc.y + 5;
-            const colX = [40, 260, 320, 420];
-            const colW = [220, 60, 100, 120];
-            const rowH = 22;
+// Monthly attendance register for a single employee
+app.get('/employees/attendance/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const employee = await Employee.findById(req.params.id);
+        if (!employee) {
+            return res.status(404).send('Employee not found');
+        }
 
-            // Header background
-            doc.save();
-            doc.rect(colX[0], tableTop, colW[0] + colW[1] + colW[2] + colW[3], rowH).fill('#F2F2F2');
-            doc.restore();
+        const month = parseInt(req.query.month) || moment().month() + 1;
+        const year = parseInt(req.query.year) || moment().year();
+        if (month < 1 || month > 12 || year < 1970 || year > 9999) {
+            return res.status(400).send('Invalid month');
+        }
+        const startDate = moment({ year, month: month - 1, day: 1 }).startOf('month');
+        const endDate = startDate.clone().endOf('month');
 
-            // Header text
-            doc.fontSize(11).fillColor('#000');
-            doc.text('Product', colX[0] + 6, tableTop + 6);
-            doc.text('Qty', colX[1] + 6, tableTop + 6);
-            doc.text('Unit Price', colX[2] + 6, tableTop + 6);
-            doc.text('Line Total', colX[3] + 6, tableTop + 6);
+        const records = await Attendance.find({
+            employeeId: employee._id,
+            date: { $gte: startDate.toDate(), $lte: endDate.toDate() }
+        });
 
-            // Header border
-            doc.moveTo(colX[0], tableTop)
-               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop)
-               .stroke();
-            doc.moveTo(colX[0], tableTop + rowH)
-               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop + rowH)
-               .stroke();
+        const recordByDay = {};
+        records.forEach(r => { recordByDay[moment(r.date).format('YYYY-MM-DD')] = r.toObject(); });
 
-            // Vertical header lines
-            let xAcc = colX[0];
-            [colW[0], colW[1], colW[2], colW[3]].forEach((w) => {
-                doc.moveTo(xAcc, tableTop)
-                   .lineTo(xAcc, tableTop + rowH)
-                   .stroke();
-                xAcc += w;
+        const days = [];
+        for (let d = startDate.clone(); d.isSameOrBefore(endDate, 'day'); d.add(1, 'day')) {
+            const key = d.format('YYYY-MM-DD');
+            days.push({
+                date: key,
+                day: d.date(),
+                weekday: d.format('ddd'),
+                isFuture: d.isAfter(moment(), 'day'),
+                attendance: recordByDay[key] || null
             });
-            // Right-most line
-            doc.moveTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop)
-               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], tableTop + rowH)
-               .stroke();
+        }
 
-            // Rows
-            let y = tableTop + rowH;
-            doc.fontSize(10);
-            sale.items.forEach((item) => {
-                const name = item.productName || 'Product';
-                const qty = Number(item.quantity) || 0;
-                const price = Number(item.price) || 0;
-                const lineTotal = Number.isFinite(Number(item.totalAmount)) ? Number(item.totalAmount) : qty * price;
+        // Pad the grid so the first day lands under its weekday column
+        const leadingBlanks = Array.from({ length: startDate.day() }, () => ({ blank: true }));
+        const cells = [...leadingBlanks, ...days];
+        const weeks = [];
+        for (let i = 0; i < cells.length; i += 7) {
+            weeks.push(cells.slice(i, i + 7));
+        }
 
-                // Row border top
-                doc.moveTo(colX[0], y)
-                   .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y)
-                   .stroke();
+        const prev = startDate.clone().subtract(1, 'month');
+        const next = startDate.clone().add(1, 'month');
 
-                // Text
-                doc.text(name, colX[0] + 6, y + 6, { width: colW[0] - 12 });
-                doc.text(`${qty} kg`, colX[1] + 6, y + 6, { width: colW[1] - 12 });
-                doc.text(`${price.toFixed(2)}`, colX[2] + 6, y + 6, { width: colW[2] - 12, align: 'right' });
-                doc.text(`${lineTotal.toFixed(2)}`, colX[3] + 6, y + 6, { width: colW[3] - 12, align: 'right' });
+        res.render('employees/attendance-register', {
+            employee: employee.toObject(),
+            weeks,
+            days,
+            month,
+            year,
+            monthLabel: startDate.format('MMMM YYYY'),
+            prevMonth: { month: prev.month() + 1, year: prev.year() },
+            nextMonth: { month: next.month() + 1, year: next.year() },
+            presentDays: records.filter(r => r.status === 'present').length,
+            absentDays: records.filter(r => r.status === 'absent').length,
+            halfDays: records.filter(r => r.status === 'half-day').length,
+            title: `Attendance - ${employee.name}`
+        });
+    } catch (error) {
+        console.error('Error loading attendance register:', error);
+        res.status(500).send('Error loading attendance register');
+    }
+});
 
-                // Vertical lines for row
-                let x = colX[0];
-                [colW[0], colW[1], colW[2], colW[3]].forEach((w) => {
-                    doc.moveTo(x, y)
-                       .lineTo(x, y + rowH)
-                       .stroke();
-                    x += w;
-                });
-                // Right-most line
-                doc.moveTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y)
-                   .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y + rowH)
-                   .stroke();
+// Edit a single day from the monthly register
+app.post('/employees/attendance/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const employee = await Employee.findById(req.params.id);
+        if (!employee) {
+            return res.status(404).send('Employee not found');
+        }
 
-                y += rowH;
-            });
+        const day = parseDay(req.body.date);
+        if (!day) {
+            return res.status(400).send('Invalid date');
+        }
+        await saveAttendance(req, employee._id, day, req.body);
 
-            // Bottom border
-            doc.moveTo(colX[0], y)
-               .lineTo(colX[0] + colW[0] + colW[1] + colW[2] + colW[3], y)
-               .stroke();
+        res.redirect(`/employees/attendance/${employee._id}?month=${moment(day).month() + 1}&year=${moment(day).year()}`);
+    } catch (error) {
+        console.error('Error updating attendance:', error);
+        res.status(500).send('Error updating attendance');
+    }
+});
 
-            doc.moveDown(1.2);
+// Advance Routes
+// Check the advance form. Returns { advance } with the fields to save, or { error }.
+const parseAdvanceForm = (body) => {
+    const amount = roundMoney(parseFloat(body.amount));
+    if (!(amount > 0)) {
+        return { error: 'Enter the amount advanced.' };
+    }
+    const date = body.date ? parseDay(body.date) : new Date();
+    if (!date) {
+        return { error: 'Enter a valid date for the advance.' };
+    }
 
-            // Summary box (right aligned)
-            const subtotal = Number(sale.subtotal) || 0;
-            const discount = Number(sale.discount) || 0;
-            const tax = Number(sale.tax) || 0;
-            const total = Number(sale.totalAmount) || Math.max(0, subtotal - discount + tax);
+    const recoveryType = body.recoveryType || 'full';
+    const installmentAmount = roundMoney(parseFloat(body.installmentAmount) || 0);
+    const installmentPercentage = parseFloat(body.installmentPercentage) || 0;
+    if (!['full', 'amount', 'percentage'].includes(recoveryType)) {
+        return { error: 'Choose how the advance is recovered.' };
+    }
+    // Without an installment the whole balance would come out of the next salary
+    if (recoveryType === 'amount' && !(installmentAmount > 0)) {
+        return { error: 'Enter the amount to recover from each salary.' };
+    }
+    if (recoveryType === 'percentage' && !(installmentPercentage > 0 && installmentPercentage <= 100)) {
+        return { error: 'Enter a percentage between 0 and 100 to recover from each salary.' };
+    }
 
-            const boxW = 240;
-            const boxX = 400;
-            let boxY = y + 10;
-            const lineGap = 18;
-            doc.fontSize(11);
-            doc.text('Subtotal:', boxX, boxY, { width: 120, align: 'left' });
-            doc.text(`${subtotal.toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
-            boxY += lineGap;
-            if (discount > 0) {
-                doc.text('Discount:', boxX, boxY, { width: 120, align: 'left' });
-                doc.text(`-${discount.toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
-                boxY += lineGap;
-            }
-            if (tax > 0) {
-                doc.text('Tax:', boxX, boxY, { width: 120, align: 'left' });
-                doc.text(`${tax.toFixed(2)}`, boxX + 120, boxY, { width: 120, align: 'right' });
-                boxY += lineGap;
-            }
-            doc.fontSize(12).text('Total:', boxX, boxY + 4, { width: 120, align: 'left' });
-            doc.fontSize(12).text(`${total.toFixed(2)}`, boxX + 120, boxY + 4, { width: 120, align: 'right' });
-        } else {
-            const amt = Number(simple.amount) || 0;
+    const start = moment(body.recoveryStart || moment(date).format('YYYY-MM'), 'YYYY-MM', true);
+    if (!start.isValid()) {
+        return { error: 'Choose the month recovery starts.' };
+    }
 
-            const tableTop = doc.y + 5;
-            const colX = [40, 360];
-            const colW = [320, 180];
-            const rowH = 22;
+    return {
+        advance: {
+            amount,
+            date,
+            reason: body.reason,
+            recoveryType,
+            installmentAmount,
+            installmentPercentage,
+            recoveryStartMonth: start.month() + 1,
+            recoveryStartYear: start.year()
+        }
+    };
+};
 
-            // Header background
-            doc.save();
-            doc.rect(colX[0], tableTop, colW[0] + colW[1], rowH).fill('#F2F2F2');
-            doc.restore();
+// Advance ledger for an employee, with the form to issue a new advance
+const renderAdvances = async (res, employee, error) => {
+    const advances = await Advance.find({ employeeId: employee._id }).sort({ date: -1 });
+    const totalAdvances = advances.reduce((sum, a) => sum + a.amount, 0);
+    const totalRecovered = advances.reduce((sum, a) => sum + (a.recoveredAmount || 0), 0);
+    const outstandingBalance = await getAdvanceBalance(employee._id);
+    const nextInstallment = advances
+        .filter(a => !a.isDeducted)
+        .reduce((sum, a) => sum + a.getInstallment(), 0);
 
-            // Header
-            doc.fontSize(11).fillColor('#000');
-            doc.text('Description', colX[0] + 6, tableTop + 6);
-            doc.text('Amount', colX[1] + 6, tableTop + 6, { width: colW[1] - 12, align: 'right' });
+    res.status(error ? 400 : 200).render('employees/advance', {
+        employee: employee.toObject(),
+        advances: advances.map(a => ({
+            ...a.toObject(),
+            recoveryStartMonth: a.getRecoveryStart().month,
+            recoveryStartYear: a.getRecoveryStart().year,
+            installment: a.getInstallment(),
+            remainingInstallments: a.getRecoverySchedule().filter(r => !r.recovered).length
+        })),
+        totalAdvances,
+        totalRecovered,
+        outstandingBalance,
+        nextInstallment,
+        defaultRecoveryStart: moment().format('YYYY-MM'),
+        error,
+        title: `Advances - ${employee.name}`
+    });
+};
 
-            // Borders
-            doc.moveTo(colX[0], tableTop).lineTo(colX[0] + colW[0] + colW[1], tableTop).stroke();
-            doc.moveTo(colX[0], tableTop + rowH).lineTo(colX[0] + colW[0] + colW[1], tableTop + rowH).stroke();
-            doc.moveTo(colX[0], tableTop).lineTo(colX[0], tableTop + rowH).stroke();
-            doc.moveTo(colX[0] + colW[0], tableTop).lineTo(colX[0] + colW[0], tableTop + rowH).stroke();
-            doc.moveTo(colX[0] + colW[0] + colW[1], tableTop).lineTo(colX[0] + colW[0] + colW[1], tableTop + rowH).stroke();
+app.get('/employees/advance/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const employee = await Employee.findById(req.params.id);
+        if (!employee) {
+            return res.status(404).send('Employee not found');
+        }
 
-            // Row
-            const y = tableTop + rowH;
-            doc.moveTo(colX[0], y).lineTo(colX[0] + colW[0] + colW[1], y).stroke();
-            doc.text('Sale', colX[0] + 6, y + 6);
-            doc.text(`${amt.toFixed(2)}`, colX[1] + 6, y + 6, { width: colW[1] - 12, align: 'right' });
-            // Bottom border
-            doc.moveTo(colX[0], y + rowH).lineTo(colX[0] + colW[0] + colW[1], y + rowH).stroke();
+        await renderAdvances(res, employee);
+    } catch (error) {
+        console.error('Error loading advances:', error);
+        res.status(500).send('Error loading advances');
+    }
+});
 
-            // Total bold line
-            doc.moveDown(1.2);
-            doc.fontSize(12).text('Total:', colX[1] - 80, y + rowH + 10, { width: 80, align: 'left' });
-            doc.fontSize(12).text(`${amt.toFixed(2)}`, colX[1], y + rowH + 10, { width: colW[1], align: 'right' });
+app.post('/employees/advance/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const employee = await Employee.findById(req.params.id);
+        if (!employee) {
+            return res.status(404).send('Employee not found');
         }
 
-        // Footer (single centered, nothing at right side)
-        doc.moveDown(2);
-        doc.fontSize(10).fillColor('#555').text('Thank you for your business!', { align: 'center' });
-        doc.fontSize(9).text('Ramlila Pedhewale Factory - Quality Sweets Since Generations', { align: 'center' });
+        const { advance: fields, error } = parseAdvanceForm(req.body);
+        if (error) {
+            return await renderAdvances(res, employee, error);
+        }
 
-        doc.end();
-        
+        const advance = new Advance({
+            employeeId: employee._id,
+            ...fields
+        });
+
+        await advance.save();
+        await recordAudit(req, 'Advance', 'create', { after: advance, label: employee.name });
+        res.redirect(`/employees/advance/${employee._id}`);
     } catch (error) {
-        console.error('Error generating PDF:', error);
-        res.status(500).json({ error: 'Failed to generate invoice' });
+        console.error('Error issuing advance:', error);
+        res.status(500).send('Error issuing advance');
     }
-};
-
-app.post('/getInvoice', requireAuth, handleInvoice);
-app.get('/getInvoice', requireAuth, handleInvoice);
-app.get('/sales/invoice/:id', requireAuth, handleInvoice);
+});
 
-// Reporting Routes
-app.get('/reports', requireAuth, async (req, res) => {
-    const products = readData(PRODUCTS_FILE);
-    const stock = readData(STOCK_FILE);
-    
-    const simpleSales = await SimpleSale.find({ userId: req.session.userId }).sort({ createdAt: -1 });
-    const totalSales = simpleSales.reduce((sum, s) => sum + s.amount, 0);
-    const totalSalesCount = simpleSales.length;
-
-    const recentSales = simpleSales.slice(0, 10).map(s => ({
-        date: moment(s.date).format('YYYY-MM-DD'),
-        customerName: s.customerName,
-        productName: 'Sale',
-        quantity: 1,
-        totalAmount: s.amount
-    }));
-    
-    res.render('reports/dashboard', {
-        sales: recentSales,
-        products,
-        stock,
-        totalSales,
-        totalQuantity: 0,
-        totalSalesCount,
-        salesByProduct: null,
-        topProduct: null,
-        averageOrder: simpleSales.length ? { amount: Math.round(totalSales / simpleSales.length), quantity: 1 } : null,
-        lowStockItems: stock.filter(item => item.quantity < 10),
-        title: 'Reports & Analytics'
+const renderAdvanceEdit = async (res, advance, error) => {
+    await advance.populate('employeeId');
+    const start = advance.getRecoveryStart();
+    res.status(error ? 400 : 200).render('employees/advance-edit', {
+        advance: advance.toObject(),
+        employee: advance.employeeId.toObject(),
+        recoveryStart: `${start.year}-${String(start.month).padStart(2, '0')}`,
+        schedule: advance.getRecoverySchedule(),
+        error,
+        title: 'Edit Advance'
     });
-});
+};
 
-// Multiple Product Sales Routes
-// Add sale (multi-product with add another product option)
-app.get('/sales/add-multiple', requireAuth, (req, res) => {
-    const products = readData(PRODUCTS_FILE);
-    res.render('sales/add-multiple', { products, title: 'Add Sale' });
-});
+app.get('/employees/advance/edit/:advanceId', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const advance = await Advance.findById(req.params.advanceId);
+        if (!advance) {
+            return res.status(404).send('Advance not found');
+        }
 
-app.get('/sales/add', requireAuth, (req, res) => {
-    const products = readData(PRODUCTS_FILE);
-    res.render('sales/add-multiple', { products, title: 'Add Sale' });
+        await renderAdvanceEdit(res, advance);
+    } catch (error) {
+        console.error('Error loading advance:', error);
+        res.status(500).send('Error loading advance');
+    }
 });
 
-app.post('/sales/add', requireAuth, async (req, res) => {
+app.post('/employees/advance/edit/:advanceId', requirePermission('managePayroll'), async (req, res) => {
     try {
-        const { 
-            customerName, 
-            customerPhone, 
-            customerEmail, 
-            customerAddress,
-            products,
-            discount,
-            tax,
-            paymentMethod,
-            date,
-            notes
-        } = req.body;
-        
-        // Normalize and compute items
-        let normalized = [];
-        if (Array.isArray(products)) {
-            normalized = products;
-        } else if (products && typeof products === 'object') {
-            normalized = Object.values(products);
-        }
-
-        const productCatalog = readData(PRODUCTS_FILE);
-        const items = [];
-        let subtotal = 0;
-        for (const p of normalized) {
-            const productIdVal = p.productId || p["productId"];
-            const quantityVal = parseFloat(p.quantity || p["quantity"] || 0);
-            const priceVal = parseFloat(p.price || p["price"] || 0);
-            if (!productIdVal || !quantityVal || !priceVal) continue;
-            const match = productCatalog.find(pc => pc.id === productIdVal);
-            const productName = match ? match.name : (p.productName || p["productName"] || 'Product');
-            const totalAmount = quantityVal * priceVal;
-            items.push({ productId: productIdVal, productName, quantity: quantityVal, price: priceVal, totalAmount });
-            subtotal += totalAmount;
-        }
-
-        const disc = parseFloat(discount) || 0;
-        const tx = parseFloat(tax) || 0;
-        const totalAmount = Math.max(0, subtotal - disc + tx);
-
-        // Compute next invoice number per user (starting at 1)
-        const lastSale = await Sale.findOne({ userId: req.session.userId }).sort({ invoiceNumber: -1 });
-        const nextInvoiceNumber = lastSale && lastSale.invoiceNumber ? lastSale.invoiceNumber + 1 : 1;
+        const advance = await Advance.findById(req.params.advanceId);
+        if (!advance) {
+            return res.status(404).send('Advance not found');
+        }
 
-        const sale = new Sale({
-            userId: req.session.userId,
-            invoiceNumber: nextInvoiceNumber,
-            customerName,
-            customerPhone,
-            customerAddress,
-            items,
-            subtotal,
-            discount: disc,
-            tax: tx,
-            totalAmount,
-            paymentMethod: paymentMethod || 'cash',
-            date: date ? new Date(date) : new Date(),
-            notes
-        });
-        await sale.save();
-        res.redirect('/sales');
+        const { advance: updates, error } = parseAdvanceForm(req.body);
+        if (error) {
+            return await renderAdvanceEdit(res, advance, error);
+        }
+        if (updates.amount < (advance.recoveredAmount || 0)) {
+            return await renderAdvanceEdit(res, advance, 'Advance amount cannot be less than the amount already recovered.');
+        }
+
+        const before = advance.toObject();
+        Object.assign(advance, updates);
+        advance.isDeducted = advance.outstandingAmount <= 0;
+        advance.deductedDate = advance.isDeducted ? (advance.deductedDate || Date.now()) : undefined;
+
+        await advance.save();
+        await recordAudit(req, 'Advance', 'update', { before, after: advance });
+        res.redirect(`/employees/advance/${advance.employeeId}`);
     } catch (error) {
-        console.error('Error creating sale:', error);
-        res.status(500).send('Failed to save sale');
+        console.error('Error updating advance:', error);
+        res.status(500).send('Error updating advance');
     }
 });
 
-// Employee Management Routes
-app.get('/employees', requireAuth, async (req, res) => {
+app.post('/employees/advance/delete/:advanceId', requirePermission('managePayroll'), async (req, res) => {
     try {
-        const employees = await Employee.find({ isActive: true }).sort({ createdAt: -1 });
-        
-        // Convert to plain objects to avoid Handlebars issues
-        const plainEmployees = employees.map(emp => emp.toObject());
-        
-        // Calculate statistics
-        const activeCount = plainEmployees.length;
-        const averageSalary = plainEmployees.length > 0 
-            ? Math.round(plainEmployees.reduce((sum, emp) => sum + emp.basicSalary, 0) / plainEmployees.length)
-            : 0;
-        const totalPayroll = plainEmployees.reduce((sum, emp) => sum + emp.basicSalary, 0);
-        
-        res.render('employees/list', {
-            employees: plainEmployees,
-            activeCount,
-            averageSalary,
-            totalPayroll,
-            title: 'Employee Management'
-        });
+        const advance = await Advance.findById(req.params.advanceId);
+        if (!advance) {
+            return res.status(404).send('Advance not found');
+        }
+        if (advance.recoveries.length > 0) {
+            return res.status(400).send('Cannot delete an advance that has recoveries against it');
+        }
+
+        await advance.deleteOne();
+        await recordAudit(req, 'Advance', 'delete', { before: advance });
+        res.redirect(`/employees/advance/${advance.employeeId}`);
     } catch (error) {
-        console.error('Error fetching employees:', error);
-        res.status(500).send('Error loading employees');
+        console.error('Error deleting advance:', error);
+        res.status(500).send('Error deleting advance');
     }
 });
 
-app.get('/employees/add', requireAuth, (req, res) => {
-    res.render('employees/add', { title: 'Add Employee' });
-});
+// Holiday calendar and payroll rules (weekly offs, shift length, overtime)
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const renderHolidays = async (res, year, error) => {
+    const [holidays, settings] = await Promise.all([
+        Holiday.find({
+            date: {
+                $gte: moment({ year }).startOf('year').toDate(),
+                $lte: moment({ year }).endOf('year').toDate()
+            }
+        }).sort({ date: 1 }),
+        PayrollSettings.getSettings()
+    ]);
 
-app.post('/employees/add', requireAuth, async (req, res) => {
+    res.status(error ? 400 : 200).render('employees/holidays', {
+        holidays: holidays.map(h => ({ ...h.toObject(), weekday: moment(h.date).format('dddd') })),
+        settings: settings.toObject(),
+        weekdays: WEEKDAYS.map((name, index) => ({ index, name, isOff: settings.weeklyOffs.includes(index) })),
+        year,
+        previousYear: year - 1,
+        nextYear: year + 1,
+        error,
+        title: 'Holidays & Payroll Rules'
+    });
+};
+
+app.get('/employees/holidays', requirePermission('managePayroll'), async (req, res) => {
     try {
-        const { name, role, phone, basicSalary, joiningDate, address } = req.body;
-        
-        const employee = new Employee({
-            name,
-            role,
-            phone,
-            basicSalary: parseFloat(basicSalary),
-            joiningDate: new Date(joiningDate),
-            address
-        });
-        
-        await employee.save();
-        res.redirect('/employees');
+        await renderHolidays(res, parseInt(req.query.year) || moment().year());
     } catch (error) {
-        console.error('Error creating employee:', error);
-        res.status(500).send('Error creating employee');
+        console.error('Error loading holidays:', error);
+        res.status(500).send('Error loading holidays');
     }
 });
 
-app.get('/employees/edit/:id', requireAuth, async (req, res) => {
+app.post('/employees/holidays', requirePermission('managePayroll'), async (req, res) => {
     try {
-        const employee = await Employee.findById(req.params.id);
-        if (!employee) {
-            return res.status(404).send('Employee not found');
+        const { date } = req.body;
+        const name = (req.body.name || '').trim();
+        const day = parseDay(date);
+        if (!day) {
+            return await renderHolidays(res, moment().year(), 'Enter the date of the holiday.');
         }
-        
-        res.render('employees/edit', { employee: employee.toObject(), title: 'Edit Employee' });
+        if (!name) {
+            return await renderHolidays(res, moment(day).year(), 'Enter a name for the holiday.');
+        }
+
+        if (await Holiday.exists({ date: day })) {
+            return await renderHolidays(res, moment(day).year(),
+                `${moment(day).format('DD-MM-YYYY')} is already a holiday.`);
+        }
+
+        const holiday = await new Holiday({ date: day, name }).save();
+        await recordAudit(req, 'Holiday', 'create', { after: holiday });
+        res.redirect(`/employees/holidays?year=${moment(day).year()}`);
     } catch (error) {
-        console.error('Error fetching employee:', error);
-        res.status(500).send('Error loading employee');
+        console.error('Error adding holiday:', error);
+        res.status(500).send('Error adding holiday');
     }
 });
 
-app.post('/employees/edit/:id', requireAuth, async (req, res) => {
+app.post('/employees/holidays/delete/:id', requirePermission('managePayroll'), async (req, res) => {
     try {
-        const { name, role, phone, basicSalary, joiningDate, address } = req.body;
-        
-        await Employee.findByIdAndUpdate(req.params.id, {
-            name,
-            role,
-            phone,
-            basicSalary: parseFloat(basicSalary),
-            joiningDate: new Date(joiningDate),
-            address,
-            updatedAt: Date.now()
-        });
-        
-        res.redirect('/employees');
+        const holiday = await Holiday.findByIdAndDelete(req.params.id);
+        if (holiday) {
+            await recordAudit(req, 'Holiday', 'delete', { before: holiday });
+        }
+        res.redirect(`/employees/holidays${holiday ? `?year=${moment(holiday.date).year()}` : ''}`);
     } catch (error) {
-        console.error('Error updating employee:', error);
-        res.status(500).send('Error updating employee');
+        console.error('Error deleting holiday:', error);
+        res.status(500).send('Error deleting holiday');
     }
 });
 
-app.post('/employees/delete/:id', requireAuth, async (req, res) => {
+app.post('/employees/payroll-settings', requirePermission('managePayroll'), async (req, res) => {
     try {
-        await Employee.findByIdAndUpdate(req.params.id, { isActive: false });
-        res.redirect('/employees');
+        const year = parseInt(req.body.year) || moment().year();
+        const shiftHours = parseFloat(req.body.shiftHours);
+        const overtimeMultiplier = parseFloat(req.body.overtimeMultiplier);
+        if (!(shiftHours >= 1 && shiftHours <= 24)) {
+            return await renderHolidays(res, year, 'Shift length must be between 1 and 24 hours.');
+        }
+        if (!Number.isFinite(overtimeMultiplier) || overtimeMultiplier < 1) {
+            return await renderHolidays(res, year, 'Overtime rate must be at least 1×.');
+        }
+
+        const settings = await PayrollSettings.getSettings();
+        const before = settings.toObject();
+        settings.weeklyOffs = [].concat(req.body.weeklyOffs || [])
+            .map(day => parseInt(day))
+            .filter(day => day >= 0 && day <= 6);
+        settings.shiftHours = shiftHours;
+        settings.overtimeMultiplier = overtimeMultiplier;
+        await settings.save();
+        await recordAudit(req, 'PayrollSettings', 'update', { before, after: settings });
+
+        res.redirect(`/employees/holidays?year=${year}`);
     } catch (error) {
-        console.error('Error deleting employee:', error);
-        res.status(500).send('Error deleting employee');
+        console.error('Error saving payroll settings:', error);
+        res.status(500).send('Error saving payroll settings');
     }
 });
 
-// Attendance and Advance features removed
-
 // Salary Management Routes
-app.get('/employees/salary', requireAuth, async (req, res) => {
+const renderSalaryList = async (res, month, year, error) => {
+    const [salaries, lock] = await Promise.all([
+        Salary.find({ month, year }).populate('employeeId'),
+        PayrollLock.findOne({ month, year }).populate('lockedBy', 'username')
+    ]);
+
+    // Calculate salary summary
+    const totalSalary = salaries.reduce((sum, salary) => sum + salary.netSalary, 0);
+    const averageSalary = salaries.length > 0 ? Math.round(totalSalary / salaries.length) : 0;
+    const pendingSalaries = salaries.filter(s => s.status === 'pending');
+
+    res.status(error ? 400 : 200).render('employees/salary', {
+        salaries: salaries.map(sal => ({
+            ...sal.toObject(),
+            employeeId: sal.employeeId.toObject()
+        })),
+        currentMonth: month,
+        currentYear: year,
+        totalSalary,
+        averageSalary,
+        pendingCount: pendingSalaries.length,
+        pendingTotal: pendingSalaries.reduce((sum, s) => sum + s.netSalary, 0),
+        lock: lock ? lock.toObject() : null,
+        paymentModes: SALARY_PAYMENT_MODES,
+        today: moment().format('YYYY-MM-DD'),
+        error,
+        title: 'Salary Management'
+    });
+};
+
+app.get('/employees/salary', requirePermission('managePayroll'), async (req, res) => {
     try {
-        const currentMonth = moment().month() + 1;
-        const currentYear = moment().year();
-        
-        const salaries = await Salary.find({
-            month: currentMonth,
-            year: currentYear
-        }).populate('employeeId');
-        
-        // Calculate salary summary
-        const totalSalary = salaries.reduce((sum, salary) => sum + salary.netSalary, 0);
-        const averageSalary = salaries.length > 0 ? Math.round(totalSalary / salaries.length) : 0;
-        
-        res.render('employees/salary', {
-            salaries: salaries.map(sal => ({
-                ...sal.toObject(),
-                employeeId: sal.employeeId.toObject()
-            })),
-            currentMonth,
-            currentYear,
-            totalSalary,
-            averageSalary,
-            title: 'Salary Management'
-        });
+        const month = parseInt(req.query.month) || moment().month() + 1;
+        const year = parseInt(req.query.year) || moment().year();
+        await renderSalaryList(res, month, year);
     } catch (error) {
         console.error('Error loading salaries:', error);
         res.status(500).send('Error loading salaries');
     }
 });
 
-app.post('/employees/salary/calculate', requireAuth, async (req, res) => {
+app.post('/employees/salary/calculate', requirePermission('managePayroll'), async (req, res) => {
     try {
-        const { month, year } = req.body;
+        const month = parseInt(req.body.month);
+        const year = parseInt(req.body.year);
+        // Recalculate pending salaries from current attendance and advances;
+        // otherwise employees who already have a salary are skipped
+        const recalculate = req.body.recalculate === 'on';
+
+        if (await isPayrollLocked(month, year)) {
+            return await renderSalaryList(res, month, year,
+                `Payroll for ${month}/${year} has been paid and is locked.`);
+        }
+
         const employees = await Employee.find({ isActive: true });
         
         for (const employee of employees) {
-            // Check if salary already calculated for this month
-            const existingSalary = await Salary.findOne({
-                employeeId: employee._id,
-                month: parseInt(month),
-                year: parseInt(year)
-            });
-            
-            if (existingSalary) continue;
-            
-            // Calculate attendance for the month
-            const startDate = moment(`${year}-${month}-01`).startOf('month');
-            const endDate = moment(`${year}-${month}-01`).endOf('month');
-            
-            const attendanceRecords = await Attendance.find({
-                employeeId: employee._id,
-                date: {
-                    $gte: startDate.toDate(),
-                    $lte: endDate.toDate()
-                }
-            });
-            
-            const presentDays = attendanceRecords.filter(a => a.status === 'present').length;
-            const absentDays = attendanceRecords.filter(a => a.status === 'absent').length;
-            const halfDays = attendanceRecords.filter(a => a.status === 'half-day').length;
-            
-            const totalWorkingDays = moment(`${year}-${month}-01`).daysInMonth();
-            const calculatedSalary = (presentDays + (halfDays * 0.5)) * (employee.basicSalary / totalWorkingDays);
+            const existingSalary = await Salary.findOne({ employeeId: employee._id, month, year });
             
-            // Calculate advance deductions
-            const advances = await Advance.find({
-                employeeId: employee._id,
-                isDeducted: false,
-                createdAt: {
-                    $gte: startDate.toDate(),
-                    $lte: endDate.toDate()
+            if (existingSalary) {
+                if (!recalculate || existingSalary.status === 'paid') continue;
+
+                const before = existingSalary.toObject();
+                await reverseAdvanceRecovery(existingSalary);
+                const { fields, recovery } = await computeSalary(employee, month, year, existingSalary.adjustmentTotal);
+                existingSalary.set(fields);
+                existingSalary.syncLines();
+
+                const changes = diffSalary(before, existingSalary);
+                if (changes.length > 0) {
+                    existingSalary.history.push({ action: 'recalculated', changes, changedBy: req.session.userId });
                 }
-            });
+                await existingSalary.save();
+                await applyAdvanceRecovery(recovery, existingSalary);
+                await recordAudit(req, 'Salary', 'update', {
+                    before, after: existingSalary, label: `${employee.name} ${month}/${year}`
+                });
+                continue;
+            }
             
-            const advanceDeductions = advances.reduce((sum, advance) => sum + advance.amount, 0);
-            const netSalary = Math.max(0, calculatedSalary - advanceDeductions);
+            const { fields, recovery } = await computeSalary(employee, month, year);
             
             // Create salary record
             const salary = new Salary({
                 employeeId: employee._id,
-                month: parseInt(month),
-                year: parseInt(year),
-                basicSalary: employee.basicSalary,
-                presentDays,
-                absentDays,
-                halfDays,
-                totalWorkingDays,
-                calculatedSalary,
-                advanceDeductions,
-                netSalary
+                month,
+                year,
+                ...fields
             });
             
             await salary.save();
             
-            // Mark advances as deducted
-            await Advance.updateMany(
-                { _id: { $in: advances.map(a => a._id) } },
-                { isDeducted: true, deductedDate: Date.now() }
-            );
+            await applyAdvanceRecovery(recovery, salary);
+            await recordAudit(req, 'Salary', 'create', { after: salary, label: `${employee.name} ${month}/${year}` });
         }
         
-        res.redirect('/employees/salary');
+        res.redirect(`/employees/salary?month=${month}&year=${year}`);
     } catch (error) {
         console.error('Error calculating salaries:', error);
         res.status(500).send('Error calculating salaries');
     }
 });
 
+// Pay one employee's salary
+app.post('/employees/salary/pay/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const salary = await Salary.findById(req.params.id);
+        if (!salary) {
+            return res.status(404).send('Salary record not found');
+        }
+        if (salary.status === 'paid') {
+            return await renderSalaryList(res, salary.month, salary.year, 'This salary has already been paid.');
+        }
+
+        const payout = getSalaryPayout(req.body);
+        if (payout.error) {
+            return await renderSalaryList(res, salary.month, salary.year, payout.error);
+        }
+
+        const before = salary.toObject();
+        salary.set({ ...payout, status: 'paid', paidBy: req.session.userId });
+        await salary.save();
+        await recordAudit(req, 'Salary', 'update', { before, after: salary, label: `${salary.month}/${salary.year}` });
+        await lockPayrollIfPaid(salary.month, salary.year, req.session.userId);
+
+        res.redirect(`/employees/salary?month=${salary.month}&year=${salary.year}`);
+    } catch (error) {
+        console.error('Error paying salary:', error);
+        res.status(500).send('Error paying salary');
+    }
+});
+
+// Pay the selected salaries of a month with one payment mode and reference
+app.post('/employees/salary/pay', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const month = parseInt(req.body.month);
+        const year = parseInt(req.body.year);
+        const salaryIds = [].concat(req.body.salaryIds || []).filter(id => mongoose.isValidObjectId(id));
+
+        if (salaryIds.length === 0) {
+            return await renderSalaryList(res, month, year, 'Select the salaries to pay.');
+        }
+
+        const payout = getSalaryPayout(req.body);
+        if (payout.error) {
+            return await renderSalaryList(res, month, year, payout.error);
+        }
+
+        const pending = await Salary.find({ _id: { $in: salaryIds }, month, year, status: 'pending' });
+        await Salary.updateMany(
+            { _id: { $in: pending.map(salary => salary._id) }, status: 'pending' },
+            { $set: { ...payout, status: 'paid', paidBy: req.session.userId } }
+        );
+        const paid = await Salary.find({ _id: { $in: pending.map(salary => salary._id) } });
+        for (const before of pending) {
+            const after = paid.find(salary => salary._id.equals(before._id));
+            await recordAudit(req, 'Salary', 'update', { before, after, label: `${month}/${year}` });
+        }
+        await lockPayrollIfPaid(month, year, req.session.userId);
+
+        res.redirect(`/employees/salary?month=${month}&year=${year}`);
+    } catch (error) {
+        console.error('Error paying salaries:', error);
+        res.status(500).send('Error paying salaries');
+    }
+});
+
+// Manual adjustments (bonus, overtime, allowance, fine) and change history of a salary
+const renderSalaryAdjust = async (res, salary, error) => {
+    await salary.populate([
+        { path: 'employeeId' },
+        { path: 'adjustments.addedBy', select: 'username' },
+        { path: 'history.changedBy', select: 'username' }
+    ]);
+    if (salary.lines.length === 0) salary.syncLines();
+
+    const plain = salary.toObject();
+    res.status(error ? 400 : 200).render('employees/salary-adjust', {
+        salary: plain,
+        employee: plain.employeeId,
+        history: plain.history.slice().reverse().map(entry => ({
+            ...entry,
+            changes: entry.changes.map(c => ({ ...c, label: SALARY_FIELD_LABELS[c.field] || c.field }))
+        })),
+        isPending: salary.status === 'pending',
+        adjustmentTypes: SALARY_ADJUSTMENT_TYPES,
+        error,
+        title: `Adjust Salary - ${plain.employeeId.name}`
+    });
+};
+
+app.get('/employees/salary/adjust/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const salary = await Salary.findById(req.params.id);
+        if (!salary) {
+            return res.status(404).send('Salary record not found');
+        }
+        await renderSalaryAdjust(res, salary);
+    } catch (error) {
+        console.error('Error loading salary adjustments:', error);
+        res.status(500).send('Error loading salary adjustments');
+    }
+});
+
+app.post('/employees/salary/adjust/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const salary = await Salary.findById(req.params.id);
+        if (!salary) {
+            return res.status(404).send('Salary record not found');
+        }
+
+        const { type, amount, reason } = req.body;
+        const value = roundMoney(parseFloat(amount) || 0);
+
+        let error = null;
+        if (salary.status === 'paid') {
+            error = 'This salary has been paid and can no longer be adjusted.';
+        } else if (!SALARY_ADJUSTMENT_TYPES.includes(type)) {
+            error = 'Choose the type of adjustment.';
+        } else if (value <= 0) {
+            error = 'Enter an adjustment amount greater than zero.';
+        } else if (!reason || !reason.trim()) {
+            error = 'Enter a reason for the adjustment.';
+        }
+        if (error) {
+            return await renderSalaryAdjust(res, salary, error);
+        }
+
+        const before = salary.toObject();
+        salary.adjustments.push({ type, amount: value, reason, addedBy: req.session.userId });
+        salary.syncLines();
+        salary.history.push({
+            action: 'adjustment-added',
+            note: `${type} ₹${value}: ${reason.trim()}`,
+            changes: diffSalary(before, salary),
+            changedBy: req.session.userId
+        });
+        await salary.save();
+        await recordAudit(req, 'Salary', 'update', { before, after: salary, label: `${salary.month}/${salary.year}` });
+
+        res.redirect(`/employees/salary/adjust/${salary._id}`);
+    } catch (error) {
+        console.error('Error adding salary adjustment:', error);
+        res.status(500).send('Error adding salary adjustment');
+    }
+});
+
+app.post('/employees/salary/adjust/delete/:adjustmentId', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const salary = await Salary.findOne({ 'adjustments._id': req.params.adjustmentId });
+        if (!salary) {
+            return res.status(404).send('Adjustment not found');
+        }
+        if (salary.status === 'paid') {
+            return await renderSalaryAdjust(res, salary, 'This salary has been paid and can no longer be adjusted.');
+        }
+
+        const adjustment = salary.adjustments.id(req.params.adjustmentId);
+        const before = salary.toObject();
+        adjustment.deleteOne();
+        salary.syncLines();
+        salary.history.push({
+            action: 'adjustment-removed',
+            note: `${adjustment.type} ₹${adjustment.amount}: ${adjustment.reason}`,
+            changes: diffSalary(before, salary),
+            changedBy: req.session.userId
+        });
+        await salary.save();
+        await recordAudit(req, 'Salary', 'update', { before, after: salary, label: `${salary.month}/${salary.year}` });
+
+        res.redirect(`/employees/salary/adjust/${salary._id}`);
+    } catch (error) {
+        console.error('Error removing salary adjustment:', error);
+        res.status(500).send('Error removing salary adjustment');
+    }
+});
+
+// Payslip PDF for one salary month
+app.get('/employees/salary/payslip/:id', requirePermission('managePayroll'), async (req, res) => {
+    try {
+        const salary = await Salary.findById(req.params.id).populate('employeeId');
+        if (!salary || !salary.employeeId) {
+            return res.status(404).send('Salary record not found');
+        }
+
+        const employee = salary.employeeId;
+        const profile = await FactoryProfile.getProfile();
+        const period = moment({ year: salary.year, month: salary.month - 1 }).format('MMMM YYYY');
+
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => {
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition',
+                `attachment; filename="payslip-${employee.name.replace(/[^A-Za-z0-9]+/g, '-')}-${salary.year}-${String(salary.month).padStart(2, '0')}.pdf"`);
+            res.send(Buffer.concat(chunks));
+        });
+
+        // Header
+        doc.fontSize(20).text(profile.name, { align: 'center' });
+        doc.fontSize(10).fillColor('#555');
+        if (profile.address) doc.text(profile.address, { align: 'center' });
+        doc.moveDown(0.8);
+        doc.fillColor('#000').fontSize(16).text(`Payslip - ${period}`, { align: 'center' });
+        doc.moveDown(1);
+
+        // Employee
+        doc.fontSize(11);
+        doc.text(`Employee: ${employee.name}`);
+        doc.text(`Role: ${employee.role}`);
+        if (employee.phone) doc.text(`Phone: ${employee.phone}`);
+        doc.moveDown(1);
+
+        const tableX = 40;
+        const labelW = 335;
+        const valueW = 180;
+        const rowH = 22;
+        let y = doc.y;
+
+        const section = (heading, rows) => {
+            doc.save();
+            doc.rect(tableX, y, labelW + valueW, rowH).fill('#F2F2F2');
+            doc.restore();
+            doc.fillColor('#000').fontSize(11).text(heading, tableX + 6, y + 6);
+            doc.rect(tableX, y, labelW + valueW, rowH).stroke();
+            y += rowH;
+
+            doc.fontSize(10);
+            rows.forEach(([label, value]) => {
+                doc.rect(tableX, y, labelW, rowH).stroke();
+                doc.rect(tableX + labelW, y, valueW, rowH).stroke();
+                doc.text(label, tableX + 6, y + 6, { width: labelW - 12 });
+                doc.text(value, tableX + labelW + 6, y + 6, { width: valueW - 12, align: 'right' });
+                y += rowH;
+            });
+            y += 12;
+        };
+
+        const attendanceRows = [
+            ['Days in month', `${moment({ year: salary.year, month: salary.month - 1 }).daysInMonth()}`],
+            ['Weekly offs', `${salary.weeklyOffDays}`],
+            ['Holidays', `${salary.holidays}`],
+            ['Working days', `${salary.totalWorkingDays}`],
+            ['Present days', `${salary.presentDays}`],
+            ['Half days', `${salary.halfDays}`],
+            ['Absent days', `${salary.absentDays}`]
+        ];
+        if (salary.payBasis === 'monthly') {
+            attendanceRows.push(['Paid days', `${salary.paidDays}`]);
+            attendanceRows.push(['Monthly salary', salary.basicSalary.toFixed(2)]);
+        }
+        if (salary.payBasis === 'piece-rate') attendanceRows.push(['Quantity produced', `${salary.quantityProduced} ${salary.productionUnit || ''}`.trim()]);
+        if (salary.overtimeHours) attendanceRows.push(['Overtime hours', `${salary.overtimeHours}`]);
+        section('Attendance', attendanceRows);
+
+        // Records from before line items get theirs built from the totals
+        if (salary.lines.length === 0) salary.syncLines();
+        const lineRows = (kind) => {
+            const lines = salary.lines.filter(line => line.kind === kind);
+            const rows = lines.map(line => {
+                const manual = line.adjustmentId ? `${line.code.charAt(0).toUpperCase()}${line.code.slice(1)} - ` : '';
+                return [`${manual}${line.label || line.code}`, line.amount.toFixed(2)];
+            });
+            const total = lines.reduce((sum, line) => sum + line.amount, 0);
+            return { rows, total };
+        };
+
+        const earnings = lineRows('earning');
+        section('Earnings', [
+            ...earnings.rows,
+            ['Total earnings', earnings.total.toFixed(2)]
+        ]);
+
+        const deductions = lineRows('deduction');
+        section('Deductions', [
+            ...deductions.rows,
+            ['Total deductions', deductions.total.toFixed(2)]
+        ]);
+
+        section('Net Pay', [
+            ['Net salary', salary.netSalary.toFixed(2)],
+            ['Advance balance still to be recovered', salary.advanceBalance.toFixed(2)]
+        ]);
+
+        doc.fontSize(10).text(`Net pay in words: ${amountInWords(salary.netSalary)}`, tableX, y);
+        doc.moveDown(0.5);
+        if (salary.status === 'paid') {
+            const paidBy = [salary.paymentMode, salary.paymentReference].filter(Boolean).join(' - ');
+            doc.text(`Paid on ${moment(salary.paidDate).format('DD-MM-YYYY')}${paidBy ? ` by ${paidBy}` : ''}`);
+        } else {
+            doc.fillColor('#C00000').text('Not yet paid').fillColor('#000');
+        }
+
+        doc.moveDown(3);
+        doc.fontSize(9).fillColor('#555').text('This is a computer generated payslip.', { align: 'center' });
+
+        doc.end();
+    } catch (error) {
+        console.error('Error generating payslip:', error);
+        res.status(500).send('Error generating payslip');
+    }
+});
+
 // Individual Employee Salary Details Route
-app.get('/employees/salary/:id', requireAuth, async (req, res) => {
+app.get('/employees/salary/:id', requirePermission('managePayroll'), async (req, res) => {
     try {
         const employee = await Employee.findById(req.params.id);
         if (!employee) {
@@ -1079,7 +6068,7 @@ app.get('/employees/salary/:id', requireAuth, async (req, res) => {
         // Calculate totals
         const totalSalaryPaid = salaries.filter(s => s.status === 'paid').reduce((sum, s) => sum + s.netSalary, 0);
         const totalAdvances = advances.reduce((sum, a) => sum + a.amount, 0);
-        const pendingAdvances = advances.filter(a => !a.isDeducted).reduce((sum, a) => sum + a.amount, 0);
+        const pendingAdvances = advances.reduce((sum, a) => sum + a.outstandingAmount, 0);
         
         res.render('employees/salary-details', {
             employee: employee.toObject(),